@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+/**
+ * Service Page Builder
+ *
+ * Generates index.html and one page per service from services.json and the
+ * templates in templates/, so a service is declared exactly once.
+ *
+ * Usage:
+ *   node scripts/build-services.cjs          write the pages
+ *   node scripts/build-services.cjs --check  fail if the pages on disk are stale
+ *
+ * Every entry is validated before anything is written: required fields,
+ * data-* values within the ranges the debug panel allows, and the hero logo of
+ * each generated page matching its grid tile. Any problem fails the build
+ * with a non-zero exit code and leaves the existing pages untouched. --check
+ * runs the logo comparison on the pages on disk too, so a hand-edited hero
+ * or tile is reported by name rather than only as a stale page.
+ *
+ * services.json uses the transition manifest format (see README), with the
+ * page copy (description, intro, features) alongside the transition settings.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const TEMPLATES = path.join(ROOT, 'templates');
+
+// Longest line before paragraph text wraps, as in the hand-written pages
+const PRINT_WIDTH = 120;
+
+const PRESETS = ['grow', 'fade', 'circle-reveal', 'iris', 'wipe', 'slide', 'morph'];
+const EASING_KEYWORDS = ['linear', 'ease', 'ease-in', 'ease-out', 'ease-in-out', 'step-start', 'step-end'];
+
+// Transition settings written to the grid tile as data-* attributes,
+// with the range each one has to fall in
+const SETTINGS = {
+    color: { attribute: 'data-color' },
+    scale: { attribute: 'data-scale', min: 1, max: 50, auto: true },
+    offsetX: { attribute: 'data-offset-x', min: -100, max: 100 },
+    offsetY: { attribute: 'data-offset-y', min: -100, max: 100 },
+    motion: { attribute: 'data-motion', values: ['reduce', 'full'] },
+    transition: { attribute: 'data-transition', values: PRESETS },
+    expandDuration: { attribute: 'data-expand-duration', min: 100, max: 3000 },
+    shrinkDuration: { attribute: 'data-shrink-duration', min: 100, max: 3000 },
+    easing: { attribute: 'data-easing', easing: true },
+    shrinkEasing: { attribute: 'data-shrink-easing', easing: true },
+    render: { attribute: 'data-render', values: ['layout', 'transform'] },
+};
+
+// ==================== VALIDATION ====================
+
+function isEasing(value) {
+    if (EASING_KEYWORDS.includes(value)) return true;
+
+    const bezier = value.match(/^cubic-bezier\(([^)]+)\)$/);
+    if (bezier) {
+        const points = bezier[1].split(',').map(Number);
+        // x coordinates must stay within 0..1
+        return points.length === 4 && points.every(Number.isFinite)
+            && points[0] >= 0 && points[0] <= 1 && points[2] >= 0 && points[2] <= 1;
+    }
+
+    return /^(linear|steps)\([^()]+\)$/.test(value);
+}
+
+function validateSetting(name, value) {
+    const rule = SETTINGS[name];
+
+    if (name === 'color') {
+        // Also the page's --service-color, so it has to be a plain colour
+        return /^#([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value)
+            ? null : `must be a hex colour, got "${value}"`;
+    }
+    if (rule.values) {
+        return rule.values.includes(value) ? null : `must be one of ${rule.values.join(', ')}, got "${value}"`;
+    }
+    if (rule.easing) {
+        return typeof value === 'string' && isEasing(value.trim()) ? null : `is not a valid easing: "${value}"`;
+    }
+    if (rule.auto && value === 'auto') return null;
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `must be a number, got ${JSON.stringify(value)}`;
+    if (value < rule.min || value > rule.max) return `must be between ${rule.min} and ${rule.max}, got ${value}`;
+
+    return null;
+}
+
+function validateService(key, service) {
+    const errors = [];
+    const fail = message => errors.push(`${key}: ${message}`);
+
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(key)) fail('key may only contain lowercase letters, digits and dashes');
+
+    ['name', 'url', 'color', 'logo', 'description', 'intro'].forEach(field => {
+        if (typeof service[field] !== 'string' || service[field].trim() === '') fail(`"${field}" is required`);
+    });
+
+    if (typeof service.url === 'string' && !/^[a-z0-9][a-z0-9-]*\.html$/.test(service.url)) {
+        fail(`"url" must be a page file name next to index.html, got "${service.url}"`);
+    }
+
+    if (typeof service.logo === 'string' && !/^<svg[\s>][\s\S]*<\/svg>$/.test(service.logo.trim())) {
+        fail('"logo" must be inline <svg> markup');
+    }
+
+    Object.keys(SETTINGS).forEach(name => {
+        if (service[name] === undefined) return;
+
+        const error = validateSetting(name, service[name]);
+        if (error) fail(`"${name}" ${error}`);
+    });
+
+    if (!Array.isArray(service.features) || service.features.length === 0) {
+        fail('"features" must list at least one feature');
+    } else {
+        service.features.forEach((feature, i) => {
+            if (!feature || typeof feature.title !== 'string' || typeof feature.text !== 'string') {
+                fail(`features[${i}] needs a "title" and a "text"`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+function validateServices(manifest) {
+    if (!manifest || typeof manifest.services !== 'object' || manifest.services === null) {
+        return ['services.json must contain a "services" object'];
+    }
+
+    const keys = Object.keys(manifest.services);
+    if (keys.length === 0) return ['services.json does not define any services'];
+
+    const errors = keys.flatMap(key => validateService(key, manifest.services[key]));
+
+    // Two services writing the same page would silently overwrite each other
+    const urls = new Map();
+    keys.forEach(key => {
+        const url = manifest.services[key].url;
+        if (url === 'index.html') errors.push(`${key}: "url" can't be the startpage`);
+        if (urls.has(url)) errors.push(`${key}: "url" ${url} is already used by ${urls.get(url)}`);
+        urls.set(url, key);
+    });
+
+    return errors;
+}
+
+// ==================== RENDERING ====================
+
+function escapeHtml(text) {
+    // Bare ampersands are fine in HTML text; only ones that read as entities need escaping
+    return String(text)
+        .replace(/&(?=#?\w+;)/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function loadTemplate(name) {
+    return fs.readFileSync(path.join(TEMPLATES, name), 'utf8').replace(/\n$/, '');
+}
+
+// Replaces {{name}} placeholders. Values listed in `raw` are markup and are
+// inserted as they are; a raw placeholder on a line of its own is indented
+// to match, line by line. Everything else is escaped text.
+function render(template, values, raw = []) {
+    return template
+        .replace(/^([ \t]*)\{\{(\w+)\}\}$/gm, (match, indent, name) => {
+            if (!raw.includes(name)) return match;
+            return String(values[name]).split('\n').map(line => (line ? indent + line : line)).join('\n');
+        })
+        .replace(/\{\{(\w+)\}\}/g, (match, name) => {
+            if (!(name in values)) throw new Error(`Template uses unknown placeholder {{${name}}}`);
+            return raw.includes(name) ? values[name] : escapeHtml(values[name]);
+        });
+}
+
+// Wraps over-long paragraphs the way the pages were formatted by hand: as
+// many words per line as fit, continuation lines indented one level, and the
+// closing tag on a line of its own when it doesn't fit after the last word
+function wrapParagraphs(html) {
+    return html.split('\n').map(line => {
+        const indent = line.match(/^\s*/)[0];
+        if (line.length <= PRINT_WIDTH || !/^<p[ >]/.test(line.trim())) return line;
+
+        const [, text, closing] = line.trim().match(/^([\s\S]*?)(<\/p>)?$/);
+        const lines = [];
+        let current = null;
+
+        text.split(' ').forEach(word => {
+            if (current !== null && (`${current} ${word}`).length > PRINT_WIDTH) {
+                lines.push(current);
+                current = `${indent}    ${word}`;
+            } else {
+                current = current === null ? indent + word : `${current} ${word}`;
+            }
+        });
+
+        if (closing && (current + closing).length > PRINT_WIDTH) {
+            lines.push(current, indent + closing);
+        } else {
+            lines.push(current + (closing || ''));
+        }
+
+        return lines.join('\n');
+    }).join('\n');
+}
+
+function renderTile(key, service, template) {
+    const attributes = Object.keys(SETTINGS)
+        .filter(name => service[name] !== undefined)
+        .map(name => ` ${SETTINGS[name].attribute}="${escapeHtml(service[name])}"`)
+        .join('');
+
+    return render(template, { ...service, key, attributes }, ['logo', 'attributes']);
+}
+
+function renderServicePage(key, service, templates) {
+    const features = service.features
+        .map(feature => render(templates.featureCard, feature))
+        .join('\n');
+
+    return wrapParagraphs(render(templates.service, { ...service, key, features }, ['logo', 'features']));
+}
+
+function buildPages(manifest) {
+    const templates = {
+        index: loadTemplate('index.html'),
+        service: loadTemplate('service.html'),
+        tile: loadTemplate('tile.html'),
+        featureCard: loadTemplate('feature-card.html'),
+    };
+    const entries = Object.entries(manifest.services);
+    const pages = new Map();
+
+    const tiles = entries.map(([key, service]) => renderTile(key, service, templates.tile)).join('\n\n');
+    pages.set('index.html', render(templates.index, { tiles }, ['tiles']));
+
+    entries.forEach(([key, service]) => {
+        pages.set(service.url, renderServicePage(key, service, templates));
+    });
+
+    return pages;
+}
+
+// ==================== CONSISTENCY ====================
+
+function normalizeSvg(markup) {
+    return markup.replace(/\s+/g, ' ').replace(/\s*(\/?>)/g, '$1').trim();
+}
+
+function extractSvg(html, pattern) {
+    const match = html && html.match(pattern);
+    return match ? normalizeSvg(match[1]) : null;
+}
+
+function checkLogos(manifest, pages) {
+    const errors = [];
+    const index = pages.get('index.html');
+
+    // The transition shrinks the grid logo into the hero, so the two have to
+    // be the same artwork or the handoff visibly jumps
+    Object.entries(manifest.services).forEach(([key, service]) => {
+        const tileSvg = extractSvg(index,
+            new RegExp(`data-service="${key}"[^>]*>\\s*<div class="logo-wrapper">\\s*(<svg[\\s\\S]*?</svg>)`));
+        const heroSvg = extractSvg(pages.get(service.url),
+            new RegExp(`<div class="hero-logo" data-service="${key}">\\s*(<svg[\\s\\S]*?</svg>)`));
+
+        if (!tileSvg) errors.push(`${key}: no grid tile logo in index.html`);
+        if (!heroSvg) errors.push(`${key}: no hero logo in ${service.url}`);
+        if (tileSvg && heroSvg && tileSvg !== heroSvg) {
+            errors.push(`${key}: hero logo in ${service.url} doesn't match the grid logo`);
+        }
+    });
+
+    return errors;
+}
+
+// ==================== MAIN ====================
+
+function fail(errors) {
+    console.error(`build-services: ${errors.length} problem(s) found`);
+    errors.forEach(error => console.error(`  - ${error}`));
+    process.exitCode = 1;
+}
+
+function main(args) {
+    const checkOnly = args.includes('--check');
+    let manifest;
+
+    try {
+        manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'services.json'), 'utf8'));
+    } catch (error) {
+        fail([`could not read services.json: ${error.message}`]);
+        return;
+    }
+
+    const errors = validateServices(manifest);
+    if (errors.length > 0) {
+        fail(errors);
+        return;
+    }
+
+    const pages = buildPages(manifest);
+    const logoErrors = checkLogos(manifest, pages);
+    if (logoErrors.length > 0) {
+        fail(logoErrors);
+        return;
+    }
+
+    if (checkOnly) {
+        const onDisk = new Map();
+        pages.forEach((html, file) => {
+            const target = path.join(ROOT, file);
+            if (fs.existsSync(target)) onDisk.set(file, fs.readFileSync(target, 'utf8'));
+        });
+
+        // Missing pages are reported as stale below, not as missing logos
+        const editedLogos = onDisk.size === pages.size ? checkLogos(manifest, onDisk) : [];
+        const stale = Array.from(pages.keys()).filter(file => onDisk.get(file) !== pages.get(file));
+
+        if (editedLogos.length > 0 || stale.length > 0) {
+            fail([
+                ...editedLogos,
+                ...stale.map(file => `${file} is out of date, run node scripts/build-services.cjs`)
+            ]);
+            return;
+        }
+
+        console.log(`build-services: ${pages.size} pages up to date`);
+        return;
+    }
+
+    pages.forEach((html, file) => fs.writeFileSync(path.join(ROOT, file), html));
+    console.log(`build-services: wrote ${Array.from(pages.keys()).join(', ')}`);
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,751 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+// ==================== DOM ====================
+//
+// jsdom has no layout, animations or CSS parsing; stub what the engine
+// touches on construction and in the code paths under test
+
+const dom = new JSDOM('<!DOCTYPE html><html data-transition-init="manual"><body></body></html>', {
+    url: 'https://example.test/'
+});
+const { window } = dom;
+
+// Every animation finishes on the next tick; its keyframes are kept so
+// tests can check where the logo was sent
+const animations = [];
+window.Element.prototype.animate = function (keyframes, options) {
+    const animation = {
+        element: this,
+        keyframes,
+        options,
+        effect: { setKeyframes() {} },
+        playState: 'running',
+        finished: Promise.resolve(),
+        cancel() {},
+        finish() {},
+        onfinish: null
+    };
+    animations.push(animation);
+    setTimeout(() => {
+        animation.playState = 'finished';
+        if (animation.onfinish) animation.onfinish();
+    });
+    return animation;
+};
+window.Range.prototype.getBoundingClientRect = () => ({ left: 0, top: 0, width: 0, height: 0, right: 0, bottom: 0 });
+window.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+};
+// Only the debug panel's easing curve draws on a canvas
+window.HTMLCanvasElement.prototype.getContext = () => new Proxy({}, { get: () => () => {} });
+window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+window.CSS = {
+    supports: (property, value) => !/url\(/i.test(value),
+    escape: value => value
+};
+
+for (const name of ['window', 'document', 'navigator', 'history', 'location', 'sessionStorage', 'localStorage', 'DOMParser', 'CSS', 'ResizeObserver', 'AbortController', 'Element', 'getComputedStyle']) {
+    Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+}
+
+const { LogoTransition, expandedRect, rescaleRect, readHandoffEntry } = await import('../transition.js');
+
+function setViewport(width, height) {
+    window.innerWidth = width;
+    window.innerHeight = height;
+}
+
+function assertCovers(rect, { width, height }) {
+    assert.ok(rect.left <= 0 && rect.top <= 0, `${JSON.stringify(rect)} starts inside ${width}x${height}`);
+    assert.ok(rect.left + rect.width >= width && rect.top + rect.height >= height,
+        `${JSON.stringify(rect)} ends inside ${width}x${height}`);
+}
+
+function assertRectEqual(actual, expected) {
+    for (const side of ['left', 'top', 'width', 'height']) {
+        assert.ok(Math.abs(actual[side] - expected[side]) < 1e-6, `${side}: ${actual[side]} != ${expected[side]}`);
+    }
+}
+
+const VIEWPORTS = [
+    { width: 1920, height: 1080 },
+    { width: 1080, height: 1920 },
+    { width: 1000, height: 1000 },
+    { width: 3440, height: 1440 },
+    { width: 375, height: 812 }
+];
+
+// ==================== GEOMETRY ====================
+
+describe('expandedRect', () => {
+    test('covers the viewport for every aspect ratio', () => {
+        for (const viewport of VIEWPORTS) {
+            assertCovers(expandedRect({ scale: 1 }, viewport), viewport);
+            assertCovers(expandedRect({ scale: 10, offsetX: 30, offsetY: -30 }, viewport), viewport);
+        }
+    });
+
+    test('is a square centred on the viewport without offsets', () => {
+        const rect = expandedRect({ scale: 2 }, { width: 400, height: 200 });
+        assert.deepEqual(rect, { left: -200, top: -300, width: 800, height: 800 });
+    });
+
+    test('shifts by a percentage of the viewport', () => {
+        const centred = expandedRect({ scale: 2 }, { width: 400, height: 200 });
+        const shifted = expandedRect({ scale: 2, offsetX: 10, offsetY: -50 }, { width: 400, height: 200 });
+        assert.equal(shifted.left - centred.left, 40);
+        assert.equal(shifted.top - centred.top, -100);
+    });
+});
+
+describe('rescaleRect', () => {
+    test('still covers the new viewport after any change of aspect ratio', () => {
+        for (const from of VIEWPORTS) {
+            const rect = expandedRect({ scale: 2, offsetX: 20 }, from);
+            for (const to of VIEWPORTS) assertCovers(rescaleRect(rect, from, to), to);
+        }
+    });
+
+    test('leaves the rect alone for the same viewport', () => {
+        const viewport = { width: 1280, height: 720 };
+        const rect = expandedRect({ scale: 3, offsetY: 15 }, viewport);
+        assertRectEqual(rescaleRect(rect, viewport, viewport), rect);
+    });
+});
+
+describe('getExpandedRect', () => {
+    let engine;
+    beforeEach(() => {
+        engine = new LogoTransition({ init: false, debug: false });
+    });
+
+    test('carries the expanded rect over to a new viewport', () => {
+        const from = { width: 1920, height: 1080 };
+        const to = { width: 390, height: 844 };
+        const data = { scale: 2, offsetX: 10, offsetY: 5, viewport: from };
+
+        setViewport(from.width, from.height);
+        const expandEnd = engine.getExpandedRect(data);
+        setViewport(to.width, to.height);
+        const shrinkStart = engine.getExpandedRect(data);
+
+        assertRectEqual(shrinkStart, rescaleRect(expandEnd, from, to));
+        assertCovers(expandEnd, from);
+        assertCovers(shrinkStart, to);
+    });
+
+    test('falls back to the current viewport without a recorded one', () => {
+        setViewport(800, 600);
+        assertRectEqual(engine.getExpandedRect({ scale: 2, offsetX: 0, offsetY: 0 }),
+            expandedRect({ scale: 2 }, { width: 800, height: 600 }));
+    });
+});
+
+// ==================== SETTINGS ====================
+
+describe('parseNumber and parseScale', () => {
+    const engine = new LogoTransition({ init: false, debug: false });
+
+    test('parseNumber keeps an explicit 0 and negative values', () => {
+        assert.equal(engine.parseNumber('0', 5), 0);
+        assert.equal(engine.parseNumber(0, 5), 0);
+        assert.equal(engine.parseNumber('-12.5', 5), -12.5);
+    });
+
+    test('parseNumber falls back on missing or unreadable values', () => {
+        assert.equal(engine.parseNumber(undefined, 5), 5);
+        assert.equal(engine.parseNumber('', 5), 5);
+        assert.equal(engine.parseNumber('abc', 5), 5);
+    });
+
+    test('parseScale falls back to the default for 0 or less', () => {
+        assert.equal(engine.parseScale('0'), 10);
+        assert.equal(engine.parseScale('-3'), 10);
+        assert.equal(engine.parseScale(undefined), 10);
+        assert.equal(engine.parseScale('25'), 25);
+        assert.equal(new LogoTransition({ init: false, debug: false, defaults: { scale: 4 } }).parseScale('0'), 4);
+    });
+});
+
+// ==================== HANDOFF ====================
+
+const SVG = '<svg viewBox="0 0 24 24"><path d="M0 0h24v24H0z"/></svg>';
+
+function handoffPayload(overrides = {}) {
+    return {
+        key: 'figma',
+        svgContent: SVG,
+        fillColor: '#F24E1E',
+        scale: 10,
+        offsetX: 0,
+        offsetY: -20,
+        viewport: { width: 1280, height: 720 },
+        ...overrides
+    };
+}
+
+function handoffEntry({ version = LogoTransition.PAYLOAD_VERSION, expires = Date.now() + 3000, payload = handoffPayload() } = {}) {
+    return JSON.stringify({ version, nonce: 'n', expires, payload });
+}
+
+describe('readHandoffEntry', () => {
+    const now = Date.now();
+    const options = { now, navigationType: 'navigate' };
+
+    test('returns the payload of a valid entry', () => {
+        assert.deepEqual(readHandoffEntry(handoffEntry(), options), handoffPayload());
+    });
+
+    test('rejects expired entries', () => {
+        assert.equal(readHandoffEntry(handoffEntry({ expires: now - 1 }), options), null);
+        assert.equal(readHandoffEntry(handoffEntry({ expires: now }), options), null);
+    });
+
+    test('rejects other payload versions', () => {
+        assert.equal(readHandoffEntry(handoffEntry({ version: LogoTransition.PAYLOAD_VERSION - 1 }), options), null);
+        const unversioned = JSON.stringify({ nonce: 'n', expires: now + 1000, payload: handoffPayload() });
+        assert.equal(readHandoffEntry(unversioned, options), null);
+    });
+
+    test('rejects reloads and history traversals', () => {
+        assert.equal(readHandoffEntry(handoffEntry(), { now, navigationType: 'reload' }), null);
+        assert.equal(readHandoffEntry(handoffEntry(), { now, navigationType: 'back_forward' }), null);
+    });
+
+    test('rejects malformed entries', () => {
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            assert.equal(readHandoffEntry('{not json', options), null);
+        } finally {
+            console.warn = warn;
+        }
+        assert.equal(readHandoffEntry('null', options), null);
+        assert.equal(readHandoffEntry(JSON.stringify({ version: LogoTransition.PAYLOAD_VERSION, expires: now + 1000 }), options), null);
+    });
+
+    test('rejects payloads with unusable geometry', () => {
+        for (const overrides of [
+            { key: 42 },
+            { scale: 0 },
+            { scale: -1 },
+            { offsetX: NaN },
+            { offsetY: undefined },
+            { viewport: { width: 0, height: 720 } }
+        ]) {
+            assert.equal(readHandoffEntry(handoffEntry({ payload: handoffPayload(overrides) }), options), null,
+                JSON.stringify(overrides));
+        }
+    });
+});
+
+// takeHandoff() asks the Navigation Timing entry how this page was reached
+function mockNavigation(getType) {
+    mock.method(performance, 'getEntriesByType', type => (type === 'navigation' ? [{ type: getType() }] : []));
+}
+
+describe('takeHandoff', () => {
+    const url = 'https://example.test/figma.html';
+    let engine;
+    let navigationType;
+
+    beforeEach(() => {
+        engine = new LogoTransition({ init: false, debug: false });
+        navigationType = 'navigate';
+        sessionStorage.clear();
+        mockNavigation(() => navigationType);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const store = entry => sessionStorage.setItem(engine.getHandoffKey(url), entry);
+
+    test('reads and removes a valid entry', () => {
+        store(handoffEntry());
+        const payload = engine.takeHandoff(url);
+
+        assert.equal(payload.key, 'figma');
+        assert.equal(payload.offsetY, -20);
+        assert.equal(sessionStorage.getItem(engine.getHandoffKey(url)), null);
+        assert.equal(engine.takeHandoff(url), null);
+    });
+
+    test('rejects expired and wrong-version entries', () => {
+        store(handoffEntry({ expires: Date.now() - 1 }));
+        assert.equal(engine.takeHandoff(url), null);
+
+        store(handoffEntry({ version: 1 }));
+        assert.equal(engine.takeHandoff(url), null);
+    });
+
+    test('rejects an entry found on reload or back/forward', () => {
+        for (const type of ['reload', 'back_forward']) {
+            navigationType = type;
+            store(handoffEntry());
+            assert.equal(engine.takeHandoff(url), null, type);
+            // and doesn't leave it for the next load either
+            assert.equal(sessionStorage.getItem(engine.getHandoffKey(url)), null, type);
+        }
+    });
+
+    test('rejects malformed entries and unsafe payloads', () => {
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            store('{"version":');
+            assert.equal(engine.takeHandoff(url), null);
+        } finally {
+            console.warn = warn;
+        }
+
+        store(handoffEntry({ payload: handoffPayload({ svgContent: '<div></div>' }) }));
+        assert.equal(engine.takeHandoff(url), null);
+
+        store(handoffEntry({ payload: handoffPayload({ fillColor: 'url(https://evil.test/x)' }) }));
+        assert.equal(engine.takeHandoff(url), null);
+    });
+});
+
+// ==================== ARRIVAL ====================
+
+// A rect as a layout keyframe gives it, back in numbers
+function keyframeRect({ left, top, width, height }) {
+    return { left: parseFloat(left), top: parseFloat(top), width: parseFloat(width), height: parseFloat(height) };
+}
+
+describe('expand and shrink', () => {
+    const url = 'https://example.test/figma.html';
+
+    beforeEach(() => {
+        document.body.innerHTML = '';
+        sessionStorage.clear();
+        animations.length = 0;
+        mockNavigation(() => 'navigate');
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    // Expands on one page, hands off and shrinks on the next, with the
+    // viewport of each; returns the last expand and first shrink keyframe
+    async function expandThenShrink(from, to) {
+        setViewport(from.width, from.height);
+        const source = new LogoTransition({ init: false, debug: false });
+        source.createOverlay();
+        const data = {
+            ...handoffPayload({ offsetX: 12, offsetY: -8 }),
+            rect: { left: 100, top: 120, width: 64, height: 64 },
+            viewport: { ...from },
+            preset: 'grow',
+            expandDuration: 10,
+            shrinkDuration: 10,
+            expandEasing: 'linear',
+            shrinkEasing: 'linear',
+            render: 'layout',
+            parts: []
+        };
+
+        source.createTransitionLogo(data);
+        await source.expandLogo(data);
+        const expansion = animations[animations.length - 1];
+        source.storeHandoff(url, source.createPayload(data));
+        source.destroy();
+
+        setViewport(to.width, to.height);
+        const target = new LogoTransition({ init: false, debug: false });
+        target.createOverlay();
+        target.config.backgroundDelay = 0;
+        const handoff = target.takeHandoff(url);
+        const hero = document.createElement('div');
+        hero.getBoundingClientRect = () => ({ left: 40, top: 40, width: 120, height: 120 });
+        document.body.appendChild(hero);
+
+        target.createExpandedOverlay(handoff);
+        const placed = keyframeRect(target.transitionLogo.style);
+        const count = animations.length;
+        await target.shrinkLogo(hero, handoff);
+        const shrink = animations[count];
+        target.destroy();
+
+        assert.equal(expansion.element.className, 'transition-logo');
+        assert.equal(shrink.options.duration, 10);
+        return {
+            expandEnd: keyframeRect(expansion.keyframes[expansion.keyframes.length - 1]),
+            shrinkStart: keyframeRect(shrink.keyframes[0]),
+            placed
+        };
+    }
+
+    test('the shrink starts where the expand ended in the same viewport', async () => {
+        for (const viewport of VIEWPORTS) {
+            const { expandEnd, shrinkStart, placed } = await expandThenShrink(viewport, viewport);
+            assertRectEqual(shrinkStart, expandEnd);
+            assertRectEqual(placed, expandEnd);
+            assertCovers(expandEnd, viewport);
+        }
+    });
+
+    test('the shrink starts from the expanded rect carried over to a new viewport', async () => {
+        const from = { width: 1920, height: 1080 };
+        const to = { width: 390, height: 844 };
+        const { expandEnd, shrinkStart, placed } = await expandThenShrink(from, to);
+
+        assertRectEqual(shrinkStart, rescaleRect(expandEnd, from, to));
+        assertRectEqual(placed, shrinkStart);
+        assertCovers(shrinkStart, to);
+    });
+});
+
+describe('checkIncomingTransition', () => {
+    const url = window.location.href;
+    let engine;
+    let completed;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <main class="service-page" data-transition-page>
+                <div class="hero-logo" data-transition-target="figma"></div>
+            </main>`;
+        sessionStorage.clear();
+        mockNavigation(() => 'navigate');
+        engine = new LogoTransition({ init: false, debug: false });
+        engine.createOverlay();
+        completed = 0;
+        // The transition itself is covered above; only whether it starts matters here
+        engine.completeTransition = () => {
+            completed++;
+            return Promise.resolve();
+        };
+    });
+
+    afterEach(() => {
+        engine.destroy();
+        mock.restoreAll();
+    });
+
+    const page = () => document.querySelector('[data-transition-page]');
+
+    test('plays a valid handoff', () => {
+        sessionStorage.setItem(engine.getHandoffKey(url), handoffEntry());
+        engine.checkIncomingTransition();
+
+        assert.equal(completed, 1);
+    });
+
+    for (const [name, entry] of [
+        ['an expired', () => handoffEntry({ expires: Date.now() - 1 })],
+        ['a wrong-version', () => handoffEntry({ version: LogoTransition.PAYLOAD_VERSION + 1 })],
+        ['an unknown-logo', () => handoffEntry({ payload: handoffPayload({ key: 'unknown' }) })]
+    ]) {
+        test(`reveals the page without an overlay for ${name} handoff`, () => {
+            sessionStorage.setItem(engine.getHandoffKey(url), entry());
+            engine.checkIncomingTransition();
+
+            assert.equal(completed, 0);
+            assert.equal(document.querySelector('.transition-logo'), null);
+            assert.ok(page().classList.contains('visible'));
+            assert.ok(document.querySelector('.hero-logo').classList.contains('visible'));
+        });
+    }
+
+    test('reveals the page without an overlay on reload', () => {
+        mock.restoreAll();
+        mockNavigation(() => 'reload');
+        sessionStorage.setItem(engine.getHandoffKey(url), handoffEntry());
+        engine.checkIncomingTransition();
+
+        assert.equal(completed, 0);
+        assert.equal(document.querySelector('.transition-logo'), null);
+        assert.ok(page().classList.contains('visible'));
+    });
+});
+
+describe('init with a manifest file', () => {
+    let engine;
+    let fetchManifest;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <main><div class="service-page"><section class="hero">
+                <div class="hero-logo" data-service="figma">${SVG}</div>
+            </section></div></main>`;
+        document.documentElement.dataset.transitionManifest = 'transitions.json';
+        sessionStorage.clear();
+        mockNavigation(() => 'navigate');
+        mock.method(globalThis, 'fetch', (url, options) => fetchManifest(options.signal));
+        mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => {
+        engine.destroy();
+        delete document.documentElement.dataset.transitionManifest;
+        mock.restoreAll();
+    });
+
+    const start = () => {
+        engine = new LogoTransition({ init: false, debug: false, timing: { manifestTimeout: 20 } });
+        return engine.init();
+    };
+
+    test('reveals the page when the manifest never arrives', async () => {
+        fetchManifest = signal => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason));
+        });
+        // Node doesn't hold the event loop open for AbortSignal.timeout
+        const keepAlive = setTimeout(() => {}, 1000);
+        await start();
+        clearTimeout(keepAlive);
+
+        assert.ok(document.querySelector('.service-page').classList.contains('visible'));
+        assert.equal(console.warn.mock.callCount(), 1);
+    });
+
+    test('plays a handoff that expires while the manifest loads', async () => {
+        fetchManifest = () => new Promise(resolve => setTimeout(() => resolve({
+            ok: true,
+            json: async () => ({ services: {} })
+        }), 15));
+        sessionStorage.setItem(`${LogoTransition.HANDOFF_PREFIX}${window.location.href}`,
+            handoffEntry({ expires: Date.now() + 5 }));
+
+        let arrived = null;
+        mock.method(LogoTransition.prototype, 'completeTransition', data => {
+            arrived = data.key;
+            return Promise.resolve();
+        });
+        await start();
+
+        assert.equal(arrived, 'figma');
+    });
+});
+
+// ==================== LINKS ====================
+
+describe('link handling', () => {
+    let engine;
+    let launched;
+
+    const tile = key => `
+        <a href="${key}.html" class="service-link" data-service="${key}">
+            <div class="logo-wrapper" data-transition-source="${key}">${SVG}</div>
+        </a>`;
+
+    beforeEach(() => {
+        document.body.innerHTML = `<main>${tile('figma')}<a href="about.html" id="plain">About</a></main>`;
+        engine = new LogoTransition({ init: false, debug: false });
+        engine.config.mode = 'spa';
+        launched = [];
+        engine.launch = link => launched.push(link.dataset.service);
+        engine.attachLinkHandlers();
+    });
+
+    afterEach(() => engine.destroy());
+
+    const click = element => {
+        const event = new window.MouseEvent('click', { bubbles: true, cancelable: true, button: 0 });
+        element.dispatchEvent(event);
+        return event;
+    };
+
+    test('starts a transition from a click anywhere in a source link', () => {
+        const event = click(document.querySelector('.logo-wrapper path'));
+
+        assert.deepEqual(launched, ['figma']);
+        assert.ok(event.defaultPrevented);
+    });
+
+    test('leaves other links and modified clicks alone', () => {
+        assert.equal(click(document.getElementById('plain')).defaultPrevented, false);
+
+        const event = new window.MouseEvent('click', { bubbles: true, cancelable: true, button: 0, metaKey: true });
+        document.querySelector('.service-link').dispatchEvent(event);
+        assert.equal(event.defaultPrevented, false);
+        assert.deepEqual(launched, []);
+    });
+
+    test('handles links swapped in later once, without binding them again', () => {
+        for (const key of ['spotify', 'notion', 'github']) {
+            document.querySelector('main').outerHTML = `<main>${tile(key)}</main>`;
+            click(document.querySelector('.service-link'));
+        }
+
+        assert.deepEqual(launched, ['spotify', 'notion', 'github']);
+    });
+});
+
+// ==================== PRESETS ====================
+
+describe('slide preset', () => {
+    test('pushes in the configured page container', async () => {
+        document.body.innerHTML = '<main></main><div id="app"></div>';
+        animations.length = 0;
+        const engine = new LogoTransition({ init: false, debug: false, selectors: { swap: '#app' } });
+        engine.createOverlay();
+
+        const data = { fillColor: '#F24E1E', shrinkDuration: 10, shrinkEasing: 'linear' };
+        await LogoTransition.presets.get('slide').shrink(engine, { data, reveal() {} });
+
+        assert.ok(animations.some(animation => animation.element.id === 'app'));
+        assert.ok(!animations.some(animation => animation.element.localName === 'main'));
+        engine.destroy();
+    });
+});
+
+// ==================== SANITIZER ====================
+
+describe('sanitizeSvg', () => {
+    const engine = new LogoTransition({ init: false, debug: false });
+    const parse = markup => new DOMParser().parseFromString(markup, 'text/html').body.firstElementChild;
+
+    test('keeps a plain logo', () => {
+        const svg = parse(engine.sanitizeSvg(SVG));
+        assert.equal(svg.localName, 'svg');
+        assert.equal(svg.querySelector('path').getAttribute('d'), 'M0 0h24v24H0z');
+    });
+
+    test('keeps <style> rules but drops the ones that load anything', () => {
+        const svg = parse(engine.sanitizeSvg(
+            '<svg viewBox="0 0 24 24"><style>'
+            + '@import "https://evil.test/x.css";'
+            + '.a { fill: url(#gradient); stroke: red }'
+            + '.b { fill: url(https://evil.test/x); stroke: blue }'
+            + 'body { background: image-set("https://evil.test/x.png" 1x) }'
+            + '</style><path class="a" d="M0 0h1"/></svg>'
+        ));
+        const css = svg.querySelector('style').textContent;
+
+        assert.match(css, /\.a \{ fill: url\(#gradient\);/);
+        assert.match(css, /stroke: blue \}/);
+        assert.doesNotMatch(css, /@import|evil\.test/);
+        // Braces stay balanced, so the rules after a dropped one still apply
+        assert.equal(css.split('{').length, css.split('}').length);
+        assert.ok(svg.querySelector('path.a'));
+    });
+
+    test('drops a <style> with escapes', () => {
+        const svg = parse(engine.sanitizeSvg(
+            '<svg viewBox="0 0 24 24"><style>.a { fill: \\75 rl(https://evil.test/x) }</style><path d="M0 0h1"/></svg>'
+        ));
+        assert.equal(svg.querySelector('style'), null);
+    });
+
+    test('keeps fragment references in style attributes, drops anything that loads', () => {
+        const svg = parse(engine.sanitizeSvg(
+            '<svg viewBox="0 0 24 24">'
+            + '<path id="a" d="M0 0" style="fill: url(https://evil.test/x)"/>'
+            + '<path id="b" d="M0 0" style="@import \'https://evil.test/x.css\'"/>'
+            + '<path id="c" d="M0 0" style="fill: url(#gradient)"/>'
+            + '<path id="d" d="M0 0" style="fill: red"/>'
+            + '</svg>'
+        ));
+        assert.equal(svg.querySelector('#a').getAttribute('style'), null);
+        assert.equal(svg.querySelector('#b').getAttribute('style'), null);
+        assert.equal(svg.querySelector('#c').getAttribute('style'), 'fill: url(#gradient)');
+        assert.equal(svg.querySelector('#d').getAttribute('style'), 'fill: red');
+    });
+
+    test('removes scripts and event handlers', () => {
+        const svg = parse(engine.sanitizeSvg(
+            '<svg onload="alert(1)"><script>alert(1)</script><a href="javascript:alert(1)"><path d="M0 0"/></a></svg>'
+        ));
+        assert.equal(svg.getAttribute('onload'), null);
+        assert.equal(svg.querySelector('script'), null);
+        assert.equal(svg.querySelector('a').getAttribute('href'), null);
+    });
+
+    test('rejects anything but a single <svg>', () => {
+        assert.equal(engine.sanitizeSvg('<div></div>'), null);
+        assert.equal(engine.sanitizeSvg(`${SVG}${SVG}`), null);
+        assert.equal(engine.sanitizeSvg(null), null);
+    });
+});
+
+// ==================== DEBUG PANEL ====================
+
+describe('debug panel', () => {
+    let engine;
+    let link;
+    let copied;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <main class="startpage">
+                <a href="figma.html" class="service-link" data-service="figma" data-scale="auto"
+                    data-transition="circle-reveal" style="order: 2">
+                    <div class="logo-wrapper">${SVG}</div>
+                    <span class="service-name" data-transition-part="label">Figma</span>
+                </a>
+            </main>`;
+        localStorage.clear();
+        copied = null;
+        // jsdom has no clipboard
+        Object.defineProperty(navigator, 'clipboard', {
+            value: { writeText: async text => { copied = text; } },
+            configurable: true
+        });
+
+        engine = new LogoTransition({ init: false });
+        engine.upgradeLegacyMarkup();
+        engine.restoreDebugSettings();
+        engine.createDebugPanel();
+        link = document.querySelector('.service-link');
+    });
+
+    afterEach(() => {
+        engine.destroy();
+        mock.restoreAll();
+    });
+
+    const slide = (param, value) => {
+        const input = document.getElementById(`debug-${param}`);
+        input.value = value;
+        input.dispatchEvent(new window.Event('input'));
+    };
+
+    test('shows data-scale="auto" without overwriting it', () => {
+        assert.ok(document.getElementById('debug-scale-auto').checked);
+        assert.ok(document.getElementById('debug-scale').disabled);
+        assert.equal(document.getElementById('scale-value').textContent, 'auto');
+
+        slide('offsetX', '20');
+        slide('expandDuration', '1200');
+
+        assert.equal(link.dataset.scale, 'auto');
+        assert.equal(link.dataset.offsetX, '20');
+        assert.equal(engine.readStoredSettings().figma.scale, undefined);
+    });
+
+    test('writes the scale once auto is switched off or the slider moves', () => {
+        const auto = document.getElementById('debug-scale-auto');
+        auto.checked = false;
+        auto.dispatchEvent(new window.Event('change'));
+        assert.equal(link.dataset.scale, document.getElementById('debug-scale').value);
+
+        slide('scale', '25');
+        assert.equal(link.dataset.scale, '25');
+        assert.equal(engine.readStoredSettings().figma.scale, '25');
+    });
+
+    test('copies the tile without runtime additions, keeping authored attributes', async () => {
+        link.classList.add('launcher-dimmed');
+        link.querySelector('.logo-wrapper').style.opacity = '0';
+        engine.copyLinkTag(link);
+        await Promise.resolve();
+
+        const copy = new DOMParser().parseFromString(copied, 'text/html').body.firstElementChild;
+        assert.equal(copy.dataset.transition, 'circle-reveal');
+        assert.match(copy.getAttribute('style'), /^order: 2;?$/);
+        assert.equal(copy.getAttribute('class'), 'service-link');
+        assert.equal(copy.querySelector('.service-name').dataset.transitionPart, 'label');
+
+        const logo = copy.querySelector('.logo-wrapper');
+        assert.equal(logo.dataset.transitionSource, undefined);
+        assert.equal(logo.dataset.transitionTarget, undefined);
+        assert.equal(logo.getAttribute('style'), null);
+        // The original keeps what the engine needs
+        assert.equal(link.querySelector('.logo-wrapper').dataset.transitionSource, 'figma');
+    });
+});
@@ -3,26 +3,200 @@
  * 
  * Handles the seamless transition effect where a clicked logo
  * expands to fill the screen, then shrinks to its position on the new page.
+ * Links back to the startpage play the same effect in reverse, shrinking the
+ * hero logo into its grid tile.
+ * 
+ * Sources and destinations are paired declaratively by key:
+ * - data-transition-source="key": element whose logo expands; clicking the
+ *   link it sits in (or wraps) starts the transition
+ * - data-transition-target="key": element on the next page the logo shrinks into
+ * - data-transition-link="key": any other link that animates that source
+ * - data-transition-page: container kept hidden until the logo has landed
+ * - data-transition-part="name": text that morphs into its namesake next to
+ *   the target; data-transition-enter: block with a staggered entrance
+ * The startpage (.service-link[data-service]) and service page (.hero-logo,
+ * .service-page) markup is mapped onto these attributes automatically.
+ * 
+ * Pages opt into single-page mode with <html data-transition-mode="spa">:
+ * the target page is fetched and swapped in place inside
+ * document.startViewTransition() instead of doing a full page load.
+ * Browsers without cross-document View Transitions fall back to that same
+ * swap automatically, or to plain navigation with
+ * <html data-transition-fallback="none">.
  * 
  * Supports per-logo customization via data attributes:
- * - data-scale: Scale multiplier (default 15 = 1500%)
+ * - data-scale: Scale multiplier (default 10 = 1000%), or "auto" to solve
+ *   scale and offsets from the logo's shape for the current viewport
  * - data-offset-x: Horizontal offset % during expansion (default 0)
  * - data-offset-y: Vertical offset % during expansion (default 0)
+ * - data-motion: "reduce" or "full" to override prefers-reduced-motion
+ * - data-transition: Animation preset (default "grow"), see PRESETS below
+ * - data-expand-duration / data-shrink-duration: Phase durations in ms
+ * - data-easing / data-shrink-easing: Any CSS easing, incl. cubic-bezier() and linear()
+ * - data-render: "layout" (default, animates left/top/width/height) or
+ *   "transform" (compositor-only, see TRANSFORM RENDERING)
+ * 
+ * Without data-color, the cover colour is sampled from the part of the logo
+ * that ends up filling the viewport, as a flat colour or a gradient; see FILL.
+ * 
+ * Services can be declared once in a manifest instead (inline
+ * <script type="application/json" data-transition-manifest> or
+ * <html data-transition-manifest="transitions.json">); see MANIFEST.
+ * 
+ * Logos can be inline <svg> (including <use> sprite references), <img> or
+ * <picture> with any image format, or a CSS background-image; see LOGO SOURCES.
+ * 
+ * Each phase dispatches a cancelable logotransition:* DOM event and leaves a
+ * performance mark, and window.logoTransition.transitionTo(key, url) starts a
+ * transition from code; see EVENTS & API.
+ * 
+ * This is an ES module. Loaded with <script type="module"> it starts itself
+ * once the DOM is ready; with <html data-transition-init="manual"> it only
+ * exports the class, to be created with options and torn down with destroy():
+ *   import { LogoTransition } from './transition.js';
+ *   const transition = new LogoTransition({ debug: false, timing: { expandDuration: 600 } });
+ *   transition.destroy();
  */
 
 class LogoTransition {
-    constructor() {
+    static presets = new Map();
+
+    // Bump when the handoff payload shape changes; older entries are ignored
+    static PAYLOAD_VERSION = 2;
+    static HANDOFF_PREFIX = 'logoTransition:';
+
+    // Per-service settings a manifest entry can carry, named like the
+    // data attributes they stand in for (dataset spelling)
+    static MANIFEST_FIELDS = [
+        'color', 'scale', 'offsetX', 'offsetY', 'motion', 'transition',
+        'expandDuration', 'shrinkDuration', 'easing', 'shrinkEasing', 'render'
+    ];
+
+    // Settings the debug panel edits, kept per logo in localStorage
+    static DEBUG_FIELDS = [
+        'color', 'scale', 'offsetX', 'offsetY',
+        'expandDuration', 'shrinkDuration', 'easing', 'shrinkEasing'
+    ];
+    static DEBUG_STORAGE_KEY = 'logoTransition:debugSettings';
+
+    // performance.measure() recorded when an event fires: [name, start mark]
+    static PERFORMANCE_MEASURES = {
+        expanded: ['logotransition:expand', 'logotransition:before'],
+        // Full page loads have no navigate mark, so this starts at navigation start
+        arrived: ['logotransition:load', 'logotransition:navigate'],
+        complete: ['logotransition:shrink', 'logotransition:arrived']
+    };
+
+    // Demo markup that is mapped onto the data-transition-* attributes,
+    // see upgradeLegacyMarkup(); override with the selectors option
+    static SELECTORS = {
+        tile: '.service-link[data-service]',
+        tileLogo: '.logo-wrapper',
+        tileName: '.service-name',
+        hero: '.hero-logo[data-service]',
+        page: '.service-page',
+        // The page's own content: single-page mode replaces it, everything
+        // around it stays; the slide preset pushes it in
+        swap: 'main',
+        heroTitle: '.hero h1',
+        enter: '.feature-card',
+        heading: 'main h1'
+    };
+
+    // Text styles a shared part carries across, see CHOREOGRAPHY
+    static TEXT_STYLE = ['fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'lineHeight', 'letterSpacing', 'color'];
+
+    // Keyframes for data-transition-enter="rise|fade|scale"
+    static ENTRANCES = {
+        rise: [{ opacity: 0, transform: 'translateY(24px)' }, { opacity: 1, transform: 'none' }],
+        fade: [{ opacity: 0 }, { opacity: 1 }],
+        scale: [{ opacity: 0, transform: 'scale(0.92)' }, { opacity: 1, transform: 'none' }]
+    };
+
+    static registerPreset(name, preset) {
+        this.presets.set(name, preset);
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.selectors] Overrides for LogoTransition.SELECTORS
+     * @param {Object} [options.defaults] Default scale and offsets for logos without data-* settings
+     * @param {Object} [options.timing] Overrides for the timing in this.config (durations, easings, delays)
+     * @param {boolean} [options.debug=true] Inject the debug panel and apply its saved settings
+     * @param {string|null} [options.shortcut='d'] Key that toggles the debug panel, null for none
+     * @param {boolean} [options.launcher=true] Open the keyboard launcher with / or Ctrl+K, and tiles with 1-9
+     * @param {boolean} [options.init=true] Set to false to call init() yourself
+     */
+    constructor({ selectors = {}, defaults = {}, timing = {}, debug = true, shortcut = 'd', launcher = true, init = true } = {}) {
+        this.options = { debug, shortcut, launcher };
+        this.selectors = { ...LogoTransition.SELECTORS, ...selectors };
+        // Every listener outside our own elements, so destroy() can drop them
+        this.listeners = new AbortController();
+        // Data attributes upgradeLegacyMarkup() filled in, per element
+        this.addedData = new WeakMap();
         this.overlay = null;
+        this.liveRegion = null;
         this.transitionLogo = null;
         this.isTransitioning = false;
+        this.pendingTransition = null;
+        this.pendingHandoff = null;
+        this.expandAnimations = [];
+        // Copies of shared text parts in the overlay and the originals they stand in for
+        this.partClones = [];
+        this.transitionCancelled = false;
         this.debugPanel = null;
+        this.debugStyle = null;
         this.debugMode = false;
+        // Keyboard launcher, created the first time it opens
+        this.launcher = null;
+        this.launcherStyle = null;
+        this.launcherResults = [];
+        this.launcherIndex = 0;
+        this.bezierField = null;
+        this.logoMasks = new Map();
+        this.logoSamples = new Map();
+        this.spriteDocuments = new Map();
+        this.manifest = null;
+        // Per-logo settings as written in the markup, before debug overrides
+        this.markupSettings = new Map();
+        // Recorded debug preview that can be scrubbed, see PREVIEW TIMELINE
+        this.timeline = null;
+        this.previewRate = 1;
+        this.support = this.detectSupport();
 
         // Default timing configuration
         this.config = {
             expandDuration: 800,
             shrinkDuration: 600,
-            pageLoadDelay: 100,
+            expandEasing: 'cubic-bezier(0.4, 0, 0.2, 1)',
+            shrinkEasing: 'cubic-bezier(0.2, 0, 0.4, 1)',
+            // Wait before clearing the body colour once the shrink starts
+            backgroundDelay: 100,
+            // Fade-out of the logo after it has landed
+            fadeOutDuration: 200,
+            // Hold between expand and shrink in the debug preview
+            previewHold: 300,
+            // Longest wait for fonts/layout before the shrink starts
+            layoutTimeout: 500,
+            // Largest layout size of a transform-rendered logo, in CSS px
+            maxRasterSize: 4096,
+            // Entrance of [data-transition-enter] blocks on arrival, overridable
+            // per page with data-transition-enter-duration / data-transition-stagger
+            enterDuration: 400,
+            enterStagger: 60,
+            // Colour crossfade used instead of the zoom for reduced motion
+            fadeDuration: 250,
+            // Longest wait for a data-transition-manifest file before the page
+            // is shown without it
+            manifestTimeout: 2000,
+            // How long a stored handoff stays valid for the next page load
+            handoffExpiry: this.parseNumber(document.documentElement.dataset.transitionExpiry, 3000),
+            // Largest handoff payload written to sessionStorage (characters)
+            handoffMaxSize: 64 * 1024,
+            // 'document' (full page loads), 'spa' (fetch and swap in place)
+            // or 'none' (plain navigation), see resolveMode()
+            mode: this.resolveMode(document.documentElement.dataset),
+            ...timing,
         };
 
         // Default transition settings (can be overridden per-logo)
@@ -30,364 +204,2317 @@ class LogoTransition {
             scale: 10,      // Multiplier of viewport (10 = 10x viewport size)
             offsetX: 0,     // % offset from center
             offsetY: 0,     // % offset from center
+            ...defaults,
+        };
+
+        if (init) this.init();
+    }
+
+    detectSupport() {
+        return {
+            // Keeps the old page painted until the new one is ready
+            crossDocument: 'CSSViewTransitionRule' in window || 'onpagereveal' in window,
+            sameDocument: typeof document.startViewTransition === 'function',
+            pageReveal: 'onpagereveal' in window,
+            // Everything single-page mode needs to swap pages in place
+            swap: typeof fetch === 'function' && typeof DOMParser === 'function'
+                && typeof history.pushState === 'function',
         };
+    }
+
+    resolveMode({ transitionMode = 'document', transitionFallback = 'swap' }) {
+        if (transitionMode === 'spa' || transitionMode === 'none') return transitionMode;
+        if (this.support.crossDocument) return 'document';
 
-        this.init();
+        // A hard load would flash a blank page between the expanded logo and
+        // the shrink, so swap the page in place or skip the effect entirely
+        if (transitionFallback === 'swap' && this.support.swap) return 'spa';
+        return 'none';
     }
 
-    init() {
+    async init() {
+        if (this.config.mode === 'spa') {
+            // Mark the initial entry so popstate can tell it apart from hash entries
+            history.replaceState({ ...history.state, logoTransition: true }, '');
+        }
+
         this.createOverlay();
-        this.checkIncomingTransition();
+        this.createLiveRegion();
+        // Taken first, so its expiry measures the navigation and not the manifest fetch
+        const handoff = this.takeHandoff(window.location.href);
+        this.manifest = await this.loadManifest();
+        // destroy() may already have run while the manifest was loading
+        if (this.listeners.signal.aborted) return;
+
+        this.applyManifest();
+        this.upgradeLegacyMarkup();
+        if (this.options.debug) this.restoreDebugSettings();
+        this.checkIncomingTransition(handoff);
         this.attachLinkHandlers();
-        this.createDebugPanel();
+        this.attachHistoryHandlers();
+        this.prepareAutoFit();
+        if (this.options.debug) this.createDebugPanel();
         this.attachKeyboardShortcuts();
     }
 
+    destroy() {
+        // Stop whatever is running, then take back everything init() added
+        this.endTimeline();
+        this.expandAnimations.forEach(animation => animation.cancel());
+        this.expandAnimations = [];
+        this.clearHandoff();
+        this.pendingTransition = null;
+        this.resetTransitionState();
+
+        this.listeners.abort();
+        this.closeLauncher();
+        [this.overlay, this.liveRegion, this.debugPanel, this.debugStyle, this.launcher, this.launcherStyle].forEach(element => {
+            if (element) element.remove();
+        });
+        this.overlay = null;
+        this.liveRegion = null;
+        this.debugPanel = null;
+        this.debugStyle = null;
+        this.launcher = null;
+        this.launcherStyle = null;
+        this.debugMode = false;
+
+        if (window.logoTransition === this) window.logoTransition = null;
+    }
+
     createOverlay() {
         this.overlay = document.createElement('div');
         this.overlay.className = 'transition-overlay';
+        // The overlay only holds a decorative copy of a logo already on the page
+        this.overlay.setAttribute('aria-hidden', 'true');
         document.body.appendChild(this.overlay);
     }
 
+    createLiveRegion() {
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'visually-hidden';
+        this.liveRegion.setAttribute('role', 'status');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        document.body.appendChild(this.liveRegion);
+    }
+
     attachLinkHandlers() {
-        const serviceLinks = document.querySelectorAll('.service-link[data-service]');
+        // Without a way to carry the logo across, links just navigate
+        if (this.config.mode === 'none') return;
+
+        // Delegated, so links single-page mode swaps in need no binding of their own
+        document.addEventListener('click', (e) => {
+            const link = e.target instanceof Element && e.target.closest('a[href]');
+            if (!link || !this.getLinkSource(link) || !this.shouldHandleClick(e, link)) return;
+
+            e.preventDefault();
+            if (this.isTransitioning) {
+                this.cancelTransition();
+                return;
+            }
 
-        serviceLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                if (this.isTransitioning) return;
+            this.launch(link);
+        }, { signal: this.listeners.signal });
+    }
+
+    launch(link) {
+        const targetUrl = link.getAttribute('href');
+        if (this.config.mode === 'none') {
+            window.location.href = targetUrl;
+            return;
+        }
+        if (this.isTransitioning) return;
+
+        const serviceData = this.getSourceData(this.getLinkSource(link), link);
+        this.startTransition(link, targetUrl, serviceData);
+    }
+
+    upgradeLegacyMarkup() {
+        const fill = (element, name, value) => {
+            if (element.dataset[name]) return;
+            element.dataset[name] = value;
+            if (!this.addedData.has(element)) this.addedData.set(element, new Set());
+            this.addedData.get(element).add(name);
+        };
+
+        const pair = (element, key) => {
+            fill(element, 'transitionSource', key);
+            fill(element, 'transitionTarget', key);
+        };
 
-                const targetUrl = link.getAttribute('href');
-                const serviceData = this.getServiceData(link);
+        // Startpage tiles are the source going out and the target coming back
+        const part = (element, name) => {
+            if (element) fill(element, 'transitionPart', name);
+        };
+
+        document.querySelectorAll(this.selectors.tile).forEach(link => {
+            const logoWrapper = link.querySelector(this.selectors.tileLogo);
+            if (logoWrapper) pair(logoWrapper, link.dataset.service);
+            // The tile label travels into the page heading and back
+            part(link.querySelector(this.selectors.tileName), 'title');
+        });
 
-                this.startTransition(link, targetUrl, serviceData);
+        document.querySelectorAll(this.selectors.page).forEach(page => {
+            page.dataset.transitionPage = '';
+            part(page.querySelector(this.selectors.heroTitle), 'title');
+            page.querySelectorAll(this.selectors.enter).forEach(block => {
+                if (block.dataset.transitionEnter === undefined) block.dataset.transitionEnter = '';
             });
         });
+
+        // On a service page, links back to the startpage expand the hero logo
+        // so the startpage can shrink it back into its grid tile
+        const heroLogo = document.querySelector(this.selectors.hero);
+        if (!heroLogo) return;
+
+        pair(heroLogo, heroLogo.dataset.service);
+        document.querySelectorAll('a[href]').forEach(link => {
+            if (!link.dataset.transitionLink && this.isStartpageUrl(link.href)) {
+                link.dataset.transitionLink = heroLogo.dataset.service;
+            }
+        });
+    }
+
+    getLinkSource(link) {
+        if (link.dataset.transitionLink) return this.findByKey('source', link.dataset.transitionLink);
+
+        // The link is (or sits inside) the source, or wraps it
+        return link.closest('[data-transition-source]') || link.querySelector('[data-transition-source]');
+    }
+
+    getTile(key) {
+        return document.querySelector(`${this.selectors.tile}[data-service="${CSS.escape(key)}"]`);
+    }
+
+    findByKey(role, key) {
+        return document.querySelector(`[data-transition-${role}="${CSS.escape(key)}"]`);
+    }
+
+    shouldHandleClick(e, link) {
+        // Leave new tab/window, download and non-primary clicks to the browser
+        if (e.defaultPrevented || e.button !== 0) return false;
+        if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return false;
+        if (link.hasAttribute('download')) return false;
+
+        const target = link.getAttribute('target');
+        return !target || target === '_self';
+    }
+
+    isStartpageUrl(href) {
+        const url = new URL(href, window.location.href);
+        if (url.origin !== window.location.origin) return false;
+
+        return /\/(index\.html)?$/.test(url.pathname);
+    }
+
+    isSameUrl(a, b) {
+        const normalize = href => {
+            const url = new URL(href, window.location.href);
+            url.hash = '';
+            return url.href.replace(/\/index\.html$/, '/');
+        };
+
+        return normalize(a) === normalize(b);
     }
 
     getServiceData(link) {
-        const logoWrapper = link.querySelector('.logo-wrapper');
-        const svg = logoWrapper.querySelector('svg');
-        const serviceName = link.dataset.service;
-        const fillColor = link.dataset.color || '#6366f1';
+        return this.getSourceData(this.getLinkSource(link), link);
+    }
+
+    getSourceData(source, link = null) {
+        // Settings on the source element win over those on its link
+        const settings = { ...(link ? link.dataset : {}), ...source.dataset };
+
+        // Pages can declare their colour once, in --service-color; it backs
+        // up the sampled fill in case the logo can't be rasterised
+        settings.serviceColor = getComputedStyle(source).getPropertyValue('--service-color').trim();
+
+        return this.getLogoData(source, settings);
+    }
+
+    getLogoData(logoWrapper, settings) {
+        const key = settings.transitionSource;
+        // Any CSS colour or gradient; "auto" (or none) samples the logo
+        // in applyAutoFill() once scale and offsets are final
+        const autoFill = !settings.color || settings.color === 'auto';
+        const fillColor = (autoFill ? settings.serviceColor : settings.color) || '#6366f1';
 
         // Get custom transition settings from data attributes
-        const scale = parseFloat(link.dataset.scale) || this.defaults.scale;
-        const offsetX = parseFloat(link.dataset.offsetX) || this.defaults.offsetX;
-        const offsetY = parseFloat(link.dataset.offsetY) || this.defaults.offsetY;
+        // (data-scale="auto" is resolved by applyAutoFit() right before use)
+        const autoFit = settings.scale === 'auto';
+        const scale = this.parseScale(settings.scale);
+        const offsetX = this.parseNumber(settings.offsetX, this.defaults.offsetX);
+        const offsetY = this.parseNumber(settings.offsetY, this.defaults.offsetY);
+
+        // Reduced motion swaps any preset for a short colour crossfade;
+        // data-motion overrides the user's system-wide preference for this logo
+        const reducedMotion = settings.motion
+            ? settings.motion === 'reduce'
+            : this.prefersReducedMotion();
+        const preset = reducedMotion ? 'fade' : (settings.transition || 'grow');
+
+        // Timing can be tuned per logo and travels with the payload
+        const expandDuration = this.parseNumber(settings.expandDuration, this.config.expandDuration);
+        const shrinkDuration = this.parseNumber(settings.shrinkDuration, this.config.shrinkDuration);
+        const expandEasing = this.parseEasing(settings.easing, this.config.expandEasing);
+        const shrinkEasing = this.parseEasing(settings.shrinkEasing, this.config.shrinkEasing);
+        const render = settings.render === 'transform' ? 'transform' : 'layout';
 
         return {
-            serviceName,
+            key,
             fillColor,
-            svgContent: svg.outerHTML,
+            autoFill,
+            // Filled in by loadLogo(), which may have to fetch sprites or images
+            svgContent: null,
+            logoElement: logoWrapper,
             rect: logoWrapper.getBoundingClientRect(),
+            viewport: { width: window.innerWidth, height: window.innerHeight },
             // Transition settings
             scale,
             offsetX,
             offsetY,
+            autoFit,
+            preset,
+            reducedMotion,
+            expandDuration,
+            shrinkDuration,
+            expandEasing,
+            shrinkEasing,
+            render,
         };
     }
 
-    async startTransition(link, targetUrl, serviceData) {
+    parseNumber(value, fallback) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : fallback;
+    }
+
+    parseScale(value) {
+        // Unlike offsets, 0 (or less) is never a usable scale
+        const scale = this.parseNumber(value, this.defaults.scale);
+        return scale > 0 ? scale : this.defaults.scale;
+    }
+
+    parseEasing(value, fallback) {
+        if (!value) return fallback;
+        if (CSS.supports('animation-timing-function', value)) return value;
+
+        console.warn(`LogoTransition: ignoring unsupported easing "${value}"`);
+        return fallback;
+    }
+
+    prefersReducedMotion() {
+        return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    getPreset(name) {
+        return LogoTransition.presets.get(name) || LogoTransition.presets.get('grow');
+    }
+
+    async startTransition(link, targetUrl, serviceData, { updateHistory = true } = {}) {
+        const source = serviceData.logoElement;
+        const detail = { key: serviceData.key, url: targetUrl, preset: serviceData.preset, mode: this.config.mode };
+        if (!this.emit(source, 'before', detail)) return 'cancelled';
+
+        // A paused debug preview would otherwise stay on top
+        this.endTimeline();
         this.isTransitioning = true;
         document.body.classList.add('transitioning');
 
-        // Store transition data for the next page (including custom settings)
-        sessionStorage.setItem('transitionData', JSON.stringify({
-            fillColor: serviceData.fillColor,
-            serviceName: serviceData.serviceName,
-            svgContent: serviceData.svgContent,
-            scale: serviceData.scale,
-            offsetX: serviceData.offsetX,
-            offsetY: serviceData.offsetY,
-            timestamp: Date.now()
-        }));
+        await this.loadLogo(serviceData);
+        await this.applyAutoFit(serviceData);
+        await this.applyAutoFill(serviceData);
+        serviceData.parts = serviceData.reducedMotion ? [] : this.captureParts(source);
+        const payload = this.createPayload(serviceData);
+        const spaMode = this.config.mode === 'spa';
+
+        // In SPA mode the next page loads while the logo expands
+        const nextDocument = spaMode ? this.fetchDocument(targetUrl).catch(() => null) : null;
+
+        if (!spaMode) {
+            // Store transition data for the next page (including custom settings)
+            this.pendingHandoff = this.storeHandoff(targetUrl, payload);
+        }
 
-        this.createTransitionLogo(serviceData);
-        await this.expandLogo(serviceData);
+        this.liftParts(serviceData.parts);
+        await this.getPreset(serviceData.preset).expand(this, { data: serviceData });
+        const expandAnimations = this.expandAnimations;
+        this.expandAnimations = [];
+
+        if (this.transitionCancelled) {
+            // The expansion was played back to the tile; stay on this page
+            expandAnimations.forEach(animation => animation.cancel());
+            this.transitionCancelled = false;
+            this.clearHandoff();
+            this.resetTransitionState();
+            return 'cancelled';
+        }
+
+        if (!this.emit(source, 'expanded', detail)) return this.abortTransition(serviceData);
 
         // Set background color JUST before navigation (when logo covers screen)
-        document.body.style.backgroundColor = serviceData.fillColor;
+        this.paintBackground(serviceData.fillColor);
+
+        if (!this.emit(source, 'navigate', detail)) return this.abortTransition(serviceData);
+
+        if (spaMode) {
+            return this.navigateInPlace(targetUrl, payload, { nextDocument, updateHistory, serviceData });
+        }
+
+        // Remember what we left in the overlay in case history brings us back
+        this.pendingTransition = serviceData;
 
         window.location.href = targetUrl;
+        return 'navigated';
+    }
+
+    async abortTransition(serviceData) {
+        // A listener cancelled after the expansion: stay here and shrink
+        // the logo back into its source
+        this.clearHandoff();
+        await this.shrinkBack(serviceData);
+        return 'cancelled';
+    }
+
+    createPayload(serviceData) {
+        return {
+            fillColor: serviceData.fillColor,
+            key: serviceData.key,
+            svgContent: serviceData.svgContent,
+            scale: serviceData.scale,
+            offsetX: serviceData.offsetX,
+            offsetY: serviceData.offsetY,
+            viewport: serviceData.viewport,
+            preset: serviceData.preset,
+            expandDuration: serviceData.expandDuration,
+            shrinkDuration: serviceData.shrinkDuration,
+            expandEasing: serviceData.expandEasing,
+            shrinkEasing: serviceData.shrinkEasing,
+            render: serviceData.render,
+            parts: serviceData.parts.map(({ name, text, rect, style }) => ({ name, text, rect, style }))
+        };
     }
 
     createTransitionLogo(serviceData) {
         this.transitionLogo = document.createElement('div');
         this.transitionLogo.className = 'transition-logo';
         this.transitionLogo.innerHTML = serviceData.svgContent;
-
-        const rect = serviceData.rect;
-        this.transitionLogo.style.cssText = `
-            left: ${rect.left}px;
-            top: ${rect.top}px;
-            width: ${rect.width}px;
-            height: ${rect.height}px;
-        `;
+        this.placeLogo(this.transitionLogo, serviceData.rect, serviceData);
 
         this.overlay.appendChild(this.transitionLogo);
     }
 
     async expandLogo(serviceData) {
-        const vw = window.innerWidth;
-        const vh = window.innerHeight;
-        const rect = serviceData.rect;
-
-        const maxDimension = Math.max(vw, vh);
+        // The same rect the next page starts its shrink from
+        const path = { from: serviceData.rect, to: this.getExpandedRect(serviceData) };
 
-        // Scale is multiplier of viewport size (scale=10 means 10x viewport)
-        const finalSize = maxDimension * serviceData.scale;
+        // Layout mode animates width/height for sharp vector scaling
+        const expansion = this.playExpansion(this.transitionLogo, this.logoKeyframes(this.transitionLogo, path, serviceData), {
+            duration: serviceData.expandDuration,
+            easing: serviceData.expandEasing
+        });
+        this.stepRaster(this.transitionLogo, this.expandAnimations[this.expandAnimations.length - 1], path, serviceData);
 
-        // Calculate center position with offset
-        const offsetPixelsX = (serviceData.offsetX / 100) * vw;
-        const offsetPixelsY = (serviceData.offsetY / 100) * vh;
+        return expansion;
+    }
 
-        const centerX = vw / 2 - finalSize / 2 + offsetPixelsX;
-        const centerY = vh / 2 - finalSize / 2 + offsetPixelsY;
+    cancelTransition() {
+        // Only the expansion can be undone; once we navigate it's too late
+        if (this.expandAnimations.length === 0 || this.transitionCancelled) return;
 
-        return new Promise(resolve => {
-            // Animate using width/height for sharp vector scaling
-            const animation = this.transitionLogo.animate([
-                {
-                    left: `${rect.left}px`,
-                    top: `${rect.top}px`,
-                    width: `${rect.width}px`,
-                    height: `${rect.height}px`,
-                    opacity: 1
-                },
-                {
-                    left: `${centerX}px`,
-                    top: `${centerY}px`,
-                    width: `${finalSize}px`,
-                    height: `${finalSize}px`,
-                    opacity: 1
-                }
-            ], {
-                duration: this.config.expandDuration,
-                easing: 'cubic-bezier(0.4, 0, 0.2, 1)',
-                fill: 'forwards'
-            });
+        this.transitionCancelled = true;
+        this.expandAnimations.forEach(animation => animation.reverse());
+    }
 
-            animation.onfinish = resolve;
-        });
+    checkIncomingTransition(data = this.takeHandoff(window.location.href)) {
+        // Pages reached without a transition show their content straight away
+        if (!data || !this.runIncomingTransition(data)) this.revealPage();
     }
 
-    checkIncomingTransition() {
-        const transitionData = sessionStorage.getItem('transitionData');
+    runIncomingTransition(data) {
+        const targetLogo = data.key && this.findByKey('target', data.key);
+        if (!targetLogo) return null;
 
-        if (!transitionData) return;
+        const page = targetLogo.closest('[data-transition-page]');
+        return this.completeTransition(data, targetLogo, page);
+    }
 
-        const data = JSON.parse(transitionData);
-        const timeSinceTransition = Date.now() - data.timestamp;
+    async completeTransition(data, targetLogo, page = null) {
+        const detail = { key: data.key, url: window.location.href, preset: data.preset, mode: this.config.mode };
+        document.body.classList.add('transitioning');
+        targetLogo.style.opacity = '0';
+
+        // Presets call reveal() whenever the page should show underneath
+        let entered = false;
+        const reveal = () => {
+            targetLogo.classList.add('visible');
+            targetLogo.style.opacity = '';
+            if (!page) return;
+
+            page.classList.add('visible');
+            if (!entered) this.playEntrance(page);
+            entered = true;
+        };
 
-        if (timeSinceTransition > 3000) {
-            sessionStorage.removeItem('transitionData');
-            return;
+        if (this.emit(targetLogo, 'arrived', detail)) {
+            await Promise.all([
+                this.getPreset(data.preset).shrink(this, { data, target: targetLogo, reveal }),
+                this.morphParts(data.parts || [], targetLogo, data)
+            ]);
+            reveal();
+            await this.settleParts(page);
+            this.cleanup();
+            document.body.classList.remove('transitioning');
+        } else {
+            // A listener takes over: show the page without the shrink
+            reveal();
+            this.resetTransitionState();
         }
 
-        sessionStorage.removeItem('transitionData');
-
-        const servicePage = document.querySelector('.service-page');
-        const heroLogo = document.querySelector('.hero-logo');
-
-        if (servicePage && heroLogo) {
-            this.completeTransition(data, heroLogo, servicePage);
-        }
+        this.emit(targetLogo, 'complete', detail, false);
+        this.announceArrival(targetLogo);
     }
 
-    async completeTransition(data, heroLogo, servicePage) {
-        document.body.classList.add('transitioning');
+    announceArrival(targetLogo = null) {
+        const heading = document.querySelector(this.selectors.heading);
+        if (heading) this.liveRegion.textContent = `Navigated to ${heading.textContent.trim()}`;
 
-        // Set background to logo color (matches the expanded logo)
-        document.body.style.backgroundColor = data.fillColor;
-        heroLogo.style.opacity = '0';
+        // Back on the grid, focus returns to the tile; elsewhere to the heading
+        const focusTarget = (targetLogo && targetLogo.closest('a')) || heading;
+        if (!focusTarget) return;
 
-        this.createExpandedOverlay(data);
-        await this.delay(50);
+        if (!focusTarget.matches('a[href], button, input, select, textarea, [tabindex]')) {
+            focusTarget.setAttribute('tabindex', '-1');
+        }
+        focusTarget.focus({ preventScroll: true });
+    }
 
-        const targetRect = heroLogo.getBoundingClientRect();
-        await this.shrinkLogo(targetRect, data);
+    getExpandedRect(data) {
+        const viewport = { width: window.innerWidth, height: window.innerHeight };
 
-        heroLogo.classList.add('visible');
-        heroLogo.style.opacity = '';
-        servicePage.classList.add('visible');
+        // Geometry as it was on the page that expanded the logo, carried over
+        // if this viewport differs (resize, rotation, new window)
+        const source = data.viewport || viewport;
+        return rescaleRect(expandedRect(data, source), source, viewport);
+    }
 
-        this.cleanup();
-        document.body.classList.remove('transitioning');
+    rectKeyframe(rect) {
+        return {
+            left: `${rect.left}px`,
+            top: `${rect.top}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`,
+            opacity: 1
+        };
     }
 
     createExpandedOverlay(data) {
-        const vw = window.innerWidth;
-        const vh = window.innerHeight;
-
         this.transitionLogo = document.createElement('div');
         this.transitionLogo.className = 'transition-logo';
         this.transitionLogo.innerHTML = data.svgContent;
+        this.transitionLogo.style.position = 'absolute';
+        this.placeLogo(this.transitionLogo, this.getExpandedRect(data), data);
 
-        const maxDimension = Math.max(vw, vh);
-        const scale = data.scale || this.defaults.scale;
-        // Scale as multiplier of viewport
-        const expandedSize = maxDimension * scale;
+        this.overlay.appendChild(this.transitionLogo);
+    }
 
-        // Apply the same offset used during expansion
-        const offsetPixelsX = ((data.offsetX || 0) / 100) * vw;
-        const offsetPixelsY = ((data.offsetY || 0) / 100) * vh;
+    async waitForLayout(element) {
+        // Web fonts and late content can still move the target; wait until
+        // its rect holds still for a few frames, but never past the timeout
+        const deadline = performance.now() + this.config.layoutTimeout;
+        const fontsReady = document.fonts ? document.fonts.ready : Promise.resolve();
+        await Promise.race([fontsReady, this.delay(this.config.layoutTimeout)]);
 
-        const centerX = vw / 2 - expandedSize / 2 + offsetPixelsX;
-        const centerY = vh / 2 - expandedSize / 2 + offsetPixelsY;
+        let previous = null;
+        let stableFrames = 0;
 
-        this.transitionLogo.style.cssText = `
-            position: absolute;
-            left: ${centerX}px;
-            top: ${centerY}px;
-            width: ${expandedSize}px;
-            height: ${expandedSize}px;
-        `;
+        while (stableFrames < 3 && performance.now() < deadline) {
+            await new Promise(resolve => requestAnimationFrame(resolve));
 
-        this.overlay.appendChild(this.transitionLogo);
-    }
+            const rect = element.getBoundingClientRect();
+            const unchanged = previous
+                && rect.left === previous.left && rect.top === previous.top
+                && rect.width === previous.width && rect.height === previous.height;
 
-    async shrinkLogo(targetRect, data) {
-        const vw = window.innerWidth;
-        const vh = window.innerHeight;
-        const maxDimension = Math.max(vw, vh);
-        const scale = data.scale || this.defaults.scale;
-        const expandedSize = maxDimension * scale;
+            stableFrames = unchanged ? stableFrames + 1 : 0;
+            previous = rect;
+        }
 
-        const offsetPixelsX = ((data.offsetX || 0) / 100) * vw;
-        const offsetPixelsY = ((data.offsetY || 0) / 100) * vh;
+        return element.getBoundingClientRect();
+    }
 
-        const startX = vw / 2 - expandedSize / 2 + offsetPixelsX;
-        const startY = vh / 2 - expandedSize / 2 + offsetPixelsY;
+    async shrinkLogo(target, data) {
+        const logo = this.transitionLogo;
+        const path = { from: this.getExpandedRect(data), to: null };
 
         // First, quickly shrink the background
-        await this.delay(100);
-        document.body.style.backgroundColor = '';
+        await this.delay(this.config.backgroundDelay);
+        this.paintBackground(null);
 
         return new Promise(resolve => {
             // Animate to hero position
-            const animation = this.transitionLogo.animate([
-                {
-                    left: `${startX}px`,
-                    top: `${startY}px`,
-                    width: `${expandedSize}px`,
-                    height: `${expandedSize}px`,
-                    opacity: 1
-                },
-                {
-                    left: `${targetRect.left}px`,
-                    top: `${targetRect.top}px`,
-                    width: `${targetRect.width}px`,
-                    height: `${targetRect.height}px`,
-                    opacity: 1
-                }
-            ], {
-                duration: this.config.shrinkDuration,
-                easing: 'cubic-bezier(0.2, 0, 0.4, 1)',
+            path.to = target.getBoundingClientRect();
+            const animation = logo.animate(this.logoKeyframes(logo, path, data), {
+                duration: data.shrinkDuration,
+                easing: data.shrinkEasing,
                 fill: 'forwards'
             });
+            this.stepRaster(logo, animation, path, data);
+
+            // Follow the target if it moves mid-flight (font swap, scroll
+            // restoration, rotation) instead of landing where it used to be
+            const retarget = () => {
+                path.to = target.getBoundingClientRect();
+                animation.effect.setKeyframes(this.logoKeyframes(logo, path, data));
+            };
+            const observer = new ResizeObserver(retarget);
+            observer.observe(target);
+            observer.observe(document.documentElement);
+            const { signal } = this.listeners;
+            window.addEventListener('resize', retarget, { signal });
+            window.addEventListener('scroll', retarget, { passive: true, signal });
 
             animation.onfinish = () => {
-                this.transitionLogo.animate([
+                observer.disconnect();
+                window.removeEventListener('resize', retarget);
+                window.removeEventListener('scroll', retarget);
+
+                logo.animate([
                     { opacity: 1 },
                     { opacity: 0 }
                 ], {
-                    duration: 200,
+                    duration: this.config.fadeOutDuration,
                     fill: 'forwards'
                 }).onfinish = resolve;
             };
         });
     }
 
-    // ==================== DEBUG PANEL ====================
+    // ==================== TRANSFORM RENDERING ====================
 
-    createDebugPanel() {
-        this.debugPanel = document.createElement('div');
-        this.debugPanel.className = 'debug-panel';
-        this.debugPanel.innerHTML = `
-            <div class="debug-header">
-                <h3>🎛️ Transition Controls</h3>
-                <span class="debug-hint">Press D to toggle</span>
-            </div>
-            <div class="debug-content">
-                <div class="debug-section">
-                    <label>Select Logo:</label>
-                    <select id="debug-logo-select"></select>
-                </div>
-                <div class="debug-section">
-                    <label>Scale: <span id="scale-value">15</span>x</label>
-                    <input type="range" id="debug-scale" min="5" max="50" value="15" step="1">
-                </div>
-                <div class="debug-section">
-                    <label>Offset X: <span id="offsetX-value">0</span>%</label>
-                    <input type="range" id="debug-offsetX" min="-100" max="100" value="0" step="5">
-                </div>
-                <div class="debug-section">
-                    <label>Offset Y: <span id="offsetY-value">0</span>%</label>
-                    <input type="range" id="debug-offsetY" min="-100" max="100" value="0" step="5">
-                </div>
-                <div class="debug-actions">
-                    <button id="debug-preview">Preview</button>
-                    <button id="debug-copy">Copy Attributes</button>
-                </div>
-                <div class="debug-output" id="debug-output"></div>
-            </div>
-        `;
+    // Layout mode moves the logo with left/top/width/height: always sharp,
+    // but every frame re-lays out and re-rasterises an SVG that can be many
+    // times the viewport. Transform mode (data-render="transform") keeps the
+    // logo at a fixed layout size and moves it with a compositor-only
+    // transform. To stay sharp, that layout size is stepped in powers of two
+    // as the logo grows or shrinks, so it is re-rasterised a handful of
+    // times per transition instead of every frame.
 
-        // Add styles for debug panel
-        const style = document.createElement('style');
-        style.textContent = `
-            .debug-panel {
-                position: fixed;
-                bottom: 20px;
-                right: 20px;
-                background: rgba(20, 20, 30, 0.95);
-                border: 1px solid rgba(255,255,255,0.1);
-                border-radius: 12px;
-                padding: 16px;
-                min-width: 280px;
-                z-index: 10000;
-                font-family: 'Inter', sans-serif;
-                color: #fff;
-                display: none;
-                backdrop-filter: blur(10px);
-                box-shadow: 0 10px 40px rgba(0,0,0,0.5);
-            }
-            .debug-panel.visible { display: block; }
-            .debug-header {
-                display: flex;
-                justify-content: space-between;
-                align-items: center;
-                margin-bottom: 16px;
-                padding-bottom: 12px;
-                border-bottom: 1px solid rgba(255,255,255,0.1);
-            }
-            .debug-header h3 {
-                margin: 0;
-                font-size: 14px;
-                font-weight: 600;
-            }
-            .debug-hint {
-                font-size: 11px;
-                color: #888;
-            }
-            .debug-section {
-                margin-bottom: 14px;
-            }
-            .debug-section label {
-                display: block;
-                font-size: 12px;
-                color: #aaa;
-                margin-bottom: 6px;
+    usesTransform(data) {
+        return data.render === 'transform';
+    }
+
+    getRasterSize(width) {
+        // Past about twice the viewport the logo already covers the screen
+        // and extra resolution only costs memory
+        const cap = Math.min(this.config.maxRasterSize, 2 * Math.max(window.innerWidth, window.innerHeight));
+        return Math.min(cap, 2 ** Math.ceil(Math.log2(Math.max(width, 1))));
+    }
+
+    setRasterSize(element, size) {
+        element.style.width = `${size}px`;
+        element.style.height = `${size}px`;
+    }
+
+    transformKeyframe(rect, size) {
+        return {
+            transform: `translate(${rect.left}px, ${rect.top}px) scale(${rect.width / size}, ${rect.height / size})`,
+            opacity: 1
+        };
+    }
+
+    logoKeyframes(element, { from, to }, data) {
+        if (!this.usesTransform(data)) return [this.rectKeyframe(from), this.rectKeyframe(to)];
+
+        const size = parseFloat(element.style.width);
+        return [this.transformKeyframe(from, size), this.transformKeyframe(to, size)];
+    }
+
+    placeLogo(element, rect, data) {
+        if (!this.usesTransform(data)) {
+            Object.assign(element.style, {
+                left: `${rect.left}px`,
+                top: `${rect.top}px`,
+                width: `${rect.width}px`,
+                height: `${rect.height}px`
+            });
+            return;
+        }
+
+        Object.assign(element.style, { left: '0px', top: '0px', transformOrigin: '0 0' });
+        this.setRasterSize(element, this.getRasterSize(rect.width));
+        element.style.transform = this.transformKeyframe(rect, parseFloat(element.style.width)).transform;
+    }
+
+    stepRaster(element, animation, path, data) {
+        if (!this.usesTransform(data) || !animation) return;
+
+        const step = () => {
+            if (!element.isConnected || animation.playState === 'idle') return;
+
+            // The on-screen size, transform included
+            const shown = element.getBoundingClientRect().width;
+            const size = this.getRasterSize(shown);
+
+            if (size !== parseFloat(element.style.width)) {
+                // Swap layout size and keyframes in the same frame, so the
+                // logo is re-rasterised without visibly changing size
+                this.setRasterSize(element, size);
+                animation.effect.setKeyframes(this.logoKeyframes(element, path, data));
+            }
+
+            if (animation.playState !== 'finished') requestAnimationFrame(step);
+        };
+        requestAnimationFrame(step);
+    }
+
+    // ==================== CHOREOGRAPHY ====================
+
+    // Besides the logo, text marked data-transition-part="name" travels to
+    // the element with the same part name next to the target: the source's
+    // copy is lifted above the expanding logo, carried in the payload, and
+    // morphs (position, size, colour) into its counterpart during the shrink.
+    // Parts belong to the link or data-transition-page around their logo.
+    // Blocks marked data-transition-enter fade in one after another once the
+    // page is revealed.
+
+    findParts(logo) {
+        const scope = logo.closest('a[href], [data-transition-page]') || document;
+        const parts = new Map();
+
+        scope.querySelectorAll('[data-transition-part]').forEach(element => {
+            const name = element.dataset.transitionPart;
+            if (name && !parts.has(name)) parts.set(name, element);
+        });
+        return parts;
+    }
+
+    getTextRect(element) {
+        // The text itself, not a heading's full-width block
+        const range = document.createRange();
+        range.selectNodeContents(element);
+        const { left, top, width, height } = range.getBoundingClientRect();
+        return { left, top, width, height };
+    }
+
+    getTextStyle(element) {
+        const computed = getComputedStyle(element);
+        const style = {};
+        LogoTransition.TEXT_STYLE.forEach(property => { style[property] = computed[property]; });
+        return style;
+    }
+
+    captureParts(source) {
+        return Array.from(this.findParts(source), ([name, element]) => ({
+            name,
+            element,
+            text: element.textContent.trim(),
+            rect: this.getTextRect(element),
+            style: this.getTextStyle(element)
+        }));
+    }
+
+    createPartClone(text, rect, style, element) {
+        const clone = document.createElement('div');
+        clone.className = 'transition-part';
+        clone.textContent = text;
+        Object.assign(clone.style, style, { left: `${rect.left}px`, top: `${rect.top}px` });
+        this.overlay.appendChild(clone);
+
+        // cleanup() removes the copy and shows the original again
+        element.style.opacity = '0';
+        this.partClones.push({ clone, element });
+        return clone;
+    }
+
+    liftParts(parts) {
+        // Keep the source's text above the logo while it covers the page
+        parts.forEach(part => this.createPartClone(part.text, part.rect, part.style, part.element));
+    }
+
+    async morphParts(parts, targetLogo, data) {
+        const targets = this.findParts(targetLogo);
+        const pairs = parts
+            .filter(part => targets.has(part.name))
+            .map(part => {
+                const element = targets.get(part.name);
+                return { part, element, clone: this.createPartClone(part.text, part.rect, part.style, element) };
+            });
+        if (pairs.length === 0) return;
+
+        // Land together with the logo, which also waits for layout first
+        await this.waitForLayout(pairs[0].element);
+
+        await Promise.all(pairs.map(({ part, element, clone }) => {
+            const rect = this.getTextRect(element);
+            if (!clone.isConnected || !rect.height) return null;
+
+            const style = this.getTextStyle(element);
+            clone.textContent = element.textContent.trim();
+            Object.assign(clone.style, style, { left: `${rect.left}px`, top: `${rect.top}px` });
+
+            // Scaled to the source's line height, centred on the source text
+            const scale = part.rect.height / rect.height;
+            const x = part.rect.left + part.rect.width / 2 - (rect.left + rect.width * scale / 2);
+            const y = part.rect.top - rect.top;
+
+            return this.play(clone, [
+                { transform: `translate(${x}px, ${y}px) scale(${scale})`, color: part.style.color },
+                { transform: 'none', color: style.color }
+            ], {
+                duration: data.shrinkDuration + this.config.backgroundDelay,
+                easing: data.shrinkEasing
+            });
+        }));
+    }
+
+    async settleParts(page) {
+        // The landed copies stand in for text inside a page that is still
+        // fading in; swap them only once the page is fully visible
+        if (this.partClones.length === 0 || !page) return;
+
+        // Reading a style flushes it, so the CSS fade shows up in getAnimations()
+        getComputedStyle(page).opacity;
+        await Promise.all(page.getAnimations().map(animation => animation.finished.catch(() => {})));
+    }
+
+    playEntrance(page) {
+        const blocks = page.querySelectorAll('[data-transition-enter]');
+        if (blocks.length === 0 || this.prefersReducedMotion()) return;
+
+        const duration = this.parseNumber(page.dataset.transitionEnterDuration, this.config.enterDuration);
+        const stagger = this.parseNumber(page.dataset.transitionStagger, this.config.enterStagger);
+
+        blocks.forEach((block, i) => {
+            const keyframes = LogoTransition.ENTRANCES[block.dataset.transitionEnter] || LogoTransition.ENTRANCES.rise;
+            block.animate(keyframes, {
+                duration,
+                delay: i * stagger,
+                easing: this.config.shrinkEasing,
+                fill: 'backwards'
+            });
+        });
+    }
+
+    // ==================== HANDOFF ====================
+
+    getHandoffKey(url) {
+        const target = new URL(url, window.location.href);
+        target.hash = '';
+        return LogoTransition.HANDOFF_PREFIX + target.href;
+    }
+
+    storeHandoff(targetUrl, payload) {
+        const nonce = typeof crypto.randomUUID === 'function'
+            ? crypto.randomUUID()
+            : Math.random().toString(36).slice(2);
+        const storageKey = this.getHandoffKey(targetUrl);
+        const entry = JSON.stringify({
+            version: LogoTransition.PAYLOAD_VERSION,
+            nonce,
+            expires: Date.now() + this.config.handoffExpiry,
+            payload
+        });
+
+        if (entry.length > this.config.handoffMaxSize) {
+            console.warn(`LogoTransition: handoff for ${targetUrl} exceeds ${this.config.handoffMaxSize} characters, skipping`);
+            return null;
+        }
+
+        try {
+            sessionStorage.setItem(storageKey, entry);
+        } catch (error) {
+            // Usually QuotaExceededError: drop stale handoffs and try once more
+            this.pruneHandoffs();
+            try {
+                sessionStorage.setItem(storageKey, entry);
+            } catch (retryError) {
+                console.warn('LogoTransition: could not store transition handoff', retryError);
+                return null;
+            }
+        }
+
+        return { storageKey, nonce };
+    }
+
+    takeHandoff(url) {
+        const storageKey = this.getHandoffKey(url);
+        let stored = null;
+
+        try {
+            stored = sessionStorage.getItem(storageKey);
+            if (!stored) return null;
+
+            sessionStorage.removeItem(storageKey);
+        } catch (error) {
+            return null;
+        }
+
+        const [navigation] = performance.getEntriesByType('navigation');
+        const payload = readHandoffEntry(stored, { now: Date.now(), navigationType: navigation && navigation.type });
+        if (!payload) return null;
+
+        const svgContent = this.sanitizeSvg(payload.svgContent);
+        if (!svgContent || typeof payload.key !== 'string' || !this.isSafeFill(payload.fillColor)) return null;
+
+        return { ...payload, svgContent, parts: this.sanitizeParts(payload.parts) };
+    }
+
+    clearHandoff() {
+        const handoff = this.pendingHandoff;
+        this.pendingHandoff = null;
+        if (!handoff) return;
+
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(handoff.storageKey));
+            // Leave it alone if a newer navigation has replaced it since
+            if (stored && stored.nonce === handoff.nonce) sessionStorage.removeItem(handoff.storageKey);
+        } catch (error) {
+            sessionStorage.removeItem(handoff.storageKey);
+        }
+    }
+
+    pruneHandoffs() {
+        const now = Date.now();
+
+        for (let i = sessionStorage.length - 1; i >= 0; i--) {
+            const key = sessionStorage.key(i);
+            if (!key || !key.startsWith(LogoTransition.HANDOFF_PREFIX)) continue;
+
+            try {
+                if (JSON.parse(sessionStorage.getItem(key)).expires > now) continue;
+            } catch (error) {
+                // Unreadable entries go too
+            }
+            sessionStorage.removeItem(key);
+        }
+    }
+
+    sanitizeSvg(markup) {
+        if (typeof markup !== 'string') return null;
+
+        // Parsed as HTML like the inline original (no xmlns needed); scripts
+        // in a DOMParser document never run
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        const { body } = new DOMParser().parseFromString(markup, 'text/html');
+        const svg = body.firstElementChild;
+
+        if (!svg || body.childElementCount !== 1 || svg.namespaceURI !== svgNamespace || svg.localName !== 'svg') {
+            return null;
+        }
+
+        const blockedElements = new Set(['script', 'foreignObject', 'iframe', 'embed', 'object', 'animate', 'set']);
+        // CSS that could load something; url(#id) references to the logo's own
+        // gradients and patterns are how multi-colour logos are filled
+        const loadsCss = /url\(\s*['"]?(?!#)|image-set\(|src\(|expression\(|@import|\\/i;
+
+        Array.from(svg.querySelectorAll('*')).forEach(el => {
+            if (el.namespaceURI !== svgNamespace || blockedElements.has(el.localName)) el.remove();
+        });
+
+        // Class-styled logos keep their <style>, minus any rule that loads
+        svg.querySelectorAll('style').forEach(style => {
+            const css = style.textContent.replace(/\/\*[\s\S]*?\*\//g, '');
+            // Escapes could spell url( in a way the checks below don't see
+            if (css.includes('\\')) {
+                style.remove();
+                return;
+            }
+            // Per declaration (or @import), keeping the braces balanced
+            style.textContent = css
+                .split(/(?<=[{};])/)
+                .map(chunk => (loadsCss.test(chunk) ? chunk.replace(/[^{}]+/g, '') : chunk))
+                .join('');
+        });
+
+        [svg, ...svg.querySelectorAll('*')].forEach(el => {
+            Array.from(el.attributes).forEach(attr => {
+                const name = attr.localName.toLowerCase();
+                const value = attr.value.trim();
+                // No event handlers, and links may only point inside the logo
+                if (name.startsWith('on')
+                    || (name === 'href' && !value.startsWith('#') && !this.isImageHref(el, value))
+                    || /javascript:|url\(\s*['"]?(?!#)/i.test(value)
+                    || (name === 'style' && loadsCss.test(value))) {
+                    el.removeAttributeNode(attr);
+                }
+            });
+        });
+
+        return svg.outerHTML;
+    }
+
+    isSafeFill(fill) {
+        // Colours and gradients only: url() would let a payload load anything
+        return typeof fill === 'string' && !/url\(|image-set|element\(/i.test(fill)
+            && (CSS.supports('color', fill) || CSS.supports('background-image', fill));
+    }
+
+    sanitizeParts(parts) {
+        if (!Array.isArray(parts)) return [];
+
+        // Text is only ever set as textContent; styles are plain values
+        const isRect = rect => rect && ['left', 'top', 'width', 'height'].every(side => Number.isFinite(rect[side]));
+        const isStyle = style => style && LogoTransition.TEXT_STYLE.every(property =>
+            typeof style[property] === 'string' && !/url\(/i.test(style[property]));
+
+        return parts
+            .filter(part => part && typeof part.name === 'string' && typeof part.text === 'string'
+                && isRect(part.rect) && isStyle(part.style))
+            .slice(0, 8)
+            .map(({ name, text, rect, style }) => ({ name, text: text.slice(0, 200), rect, style }));
+    }
+
+    isImageHref(el, value) {
+        // Raster logos are wrapped in <image>, which never runs scripts
+        return el.localName === 'image' && /^(https?:|data:image\/)/i.test(value);
+    }
+
+    // ==================== SINGLE-PAGE MODE ====================
+
+    async fetchDocument(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Failed to load ${url} (${response.status})`);
+
+        return new DOMParser().parseFromString(await response.text(), 'text/html');
+    }
+
+    async navigateInPlace(targetUrl, data, { nextDocument = this.fetchDocument(targetUrl).catch(() => null), updateHistory = true, serviceData = null } = {}) {
+        const newDocument = await nextDocument;
+
+        // Pages without the swap container can only be loaded in full
+        if (!newDocument || !newDocument.querySelector(this.selectors.swap) || !document.querySelector(this.selectors.swap)) {
+            // Couldn't fetch the page: hand off to a regular navigation instead,
+            // remembered like one in case history brings us back
+            if (data) this.pendingHandoff = this.storeHandoff(targetUrl, data);
+            if (serviceData) this.pendingTransition = serviceData;
+            window.location.href = targetUrl;
+            return 'navigated';
+        }
+
+        let arrival = null;
+        const update = () => {
+            if (updateHistory) {
+                history.pushState({ logoTransition: true }, '', targetUrl);
+                window.scrollTo(0, 0);
+            }
+
+            this.swapDocument(newDocument);
+
+            // The swapped-in page carries its own logo; drop the expanded one
+            // so completeTransition() can recreate it for the new page
+            this.cleanup();
+            this.applyManifest();
+            this.upgradeLegacyMarkup();
+            if (this.options.debug) this.restoreDebugSettings();
+            if (this.debugPanel) this.populateLogoSelect();
+
+            arrival = data && this.runIncomingTransition(data);
+            if (!arrival) {
+                this.resetTransitionState();
+                this.revealPage();
+                this.announceArrival();
+            }
+        };
+
+        if (document.startViewTransition) {
+            await document.startViewTransition(update).updateCallbackDone;
+        } else {
+            update();
+        }
+
+        if (!arrival) return 'navigated';
+        await arrival;
+        return 'complete';
+    }
+
+    swapDocument(newDocument) {
+        document.title = newDocument.title;
+
+        // Only page-level styles marked <style data-transition-style> (e.g.
+        // --service-color) change with the page; the app's own styles stay
+        document.head.querySelectorAll('style[data-transition-style]').forEach(style => style.remove());
+        newDocument.head.querySelectorAll('style[data-transition-style]').forEach(style => {
+            document.head.appendChild(document.importNode(style, true));
+        });
+        // applyManifest() may have set it inline for the previous page
+        document.documentElement.style.removeProperty('--service-color');
+
+        // Replace just the page content; the app shell around it is left alone
+        const next = newDocument.querySelector(this.selectors.swap);
+        document.querySelector(this.selectors.swap).replaceWith(document.importNode(next, true));
+    }
+
+    handleSpaHistory() {
+        if (this.isTransitioning) return;
+
+        const targetUrl = window.location.href;
+
+        // If this page links to the history entry with a transition (the
+        // grid tile going forward, Back going back), play it
+        const link = Array.from(document.querySelectorAll('a[href]'))
+            .find(candidate => this.isSameUrl(candidate.href, targetUrl) && this.getLinkSource(candidate));
+        if (link) {
+            this.startTransition(link, targetUrl, this.getServiceData(link), { updateHistory: false });
+            return;
+        }
+
+        this.navigateInPlace(targetUrl, null, { updateHistory: false });
+    }
+
+    revealPage() {
+        document.querySelectorAll('[data-transition-page], [data-transition-target]')
+            .forEach(el => el.classList.add('visible'));
+    }
+
+    // ==================== HISTORY ====================
+
+    attachHistoryHandlers() {
+        const { signal } = this.listeners;
+
+        // Leaving mid-shrink (e.g. Back right after arriving) would otherwise
+        // freeze the half-shrunk logo into the back/forward cache
+        window.addEventListener('pagehide', () => {
+            if (!this.pendingTransition) this.finishRunningAnimations();
+        }, { signal });
+
+        // Restored from the back/forward cache: the page still shows the
+        // expanded logo, the coloured body and a locked isTransitioning flag
+        window.addEventListener('pageshow', (e) => {
+            if (!e.persisted) return;
+
+            if (this.pendingTransition) {
+                this.reverseTransition();
+            } else {
+                this.finishRunningAnimations();
+            }
+        }, { signal });
+
+        window.addEventListener('popstate', (e) => {
+            // Same-document history entries (e.g. hash links) mid-transition
+            if (this.pendingTransition) {
+                this.reverseTransition();
+                return;
+            }
+
+            // Entries pushed by single-page mode: swap to the page in the URL
+            if (this.config.mode === 'spa' && e.state && e.state.logoTransition) {
+                this.handleSpaHistory();
+            }
+        }, { signal });
+    }
+
+    async reverseTransition() {
+        const serviceData = this.pendingTransition;
+        this.pendingTransition = null;
+
+        // The destination never ran (or already consumed) the handoff
+        this.clearHandoff();
+
+        if (!this.transitionLogo) {
+            this.resetTransitionState();
+            return;
+        }
+
+        await this.shrinkBack(serviceData);
+    }
+
+    async shrinkBack(serviceData) {
+        // Shrink back into the logo we came from, measured in the current layout
+        const sourceLogo = serviceData.logoElement;
+        const reveal = () => { sourceLogo.style.opacity = ''; };
+        sourceLogo.style.opacity = '0';
+
+        await this.getPreset(serviceData.preset).shrink(this, { data: serviceData, target: sourceLogo, reveal });
+
+        reveal();
+        this.resetTransitionState();
+    }
+
+    finishRunningAnimations() {
+        if (!this.transitionLogo) return;
+
+        this.transitionLogo.getAnimations().forEach(animation => animation.finish());
+    }
+
+    resetTransitionState() {
+        this.cleanup();
+        this.paintBackground(null);
+        document.body.classList.remove('transitioning');
+    }
+
+    // ==================== EVENTS & API ====================
+
+    // Every phase is a DOM event, dispatched on the source element going out
+    // and the target element on arrival, and bubbling up to document:
+    //   logotransition:before    about to expand; cancel to handle the link yourself
+    //   logotransition:expanded  logo covers the screen; cancel to shrink it back
+    //   logotransition:navigate  about to change page; cancel to shrink it back
+    //   logotransition:arrived   next page picked it up; cancel to skip the shrink
+    //   logotransition:complete  logo has landed (not cancelable)
+    // Each also leaves a performance mark of the same name, and the phases
+    // between them a measure (see PERFORMANCE_MEASURES).
+
+    emit(target, name, detail, cancelable = true) {
+        const type = `logotransition:${name}`;
+        this.measurePhase(type, name);
+
+        const event = new CustomEvent(type, { bubbles: true, cancelable, detail });
+        return (target && target.isConnected ? target : document).dispatchEvent(event);
+    }
+
+    measurePhase(type, name) {
+        if (typeof performance.mark !== 'function') return;
+
+        performance.mark(type);
+
+        const measure = LogoTransition.PERFORMANCE_MEASURES[name];
+        if (!measure) return;
+
+        const [measureName, startMark] = measure;
+        const start = performance.getEntriesByName(startMark, 'mark').length > 0 ? startMark : undefined;
+        performance.measure(measureName, start, type);
+    }
+
+    transitionTo(key, url) {
+        const source = this.findByKey('source', key);
+        if (!source) throw new Error(`LogoTransition: no element with data-transition-source="${key}"`);
+
+        const link = source.closest('a[href]') || source.querySelector('a[href]');
+        const targetUrl = url || (link && link.getAttribute('href'));
+        if (!targetUrl) throw new Error(`LogoTransition: no URL to transition "${key}" to`);
+
+        let finished;
+        if (this.config.mode === 'none') {
+            window.location.href = targetUrl;
+            finished = Promise.resolve('navigated');
+        } else if (this.isTransitioning) {
+            finished = Promise.resolve('cancelled');
+        } else {
+            finished = this.startTransition(link, targetUrl, this.getSourceData(source, link));
+        }
+
+        // Settles once the logo covers the screen, or as soon as the
+        // transition ends without getting there
+        let onExpanded;
+        const ready = new Promise(resolve => {
+            onExpanded = () => resolve();
+            source.addEventListener('logotransition:expanded', onExpanded, { once: true });
+            finished.then(resolve, resolve);
+        }).then(() => source.removeEventListener('logotransition:expanded', onExpanded));
+
+        let settled = false;
+        finished.then(() => { settled = true; }, () => { settled = true; });
+
+        return {
+            key,
+            url: targetUrl,
+            ready,
+            // Resolves to 'navigated', 'complete' (single-page mode) or 'cancelled'
+            finished,
+            // Plays the expansion back, like Escape; too late once it has finished
+            cancel: () => {
+                if (!settled) this.cancelTransition();
+            }
+        };
+    }
+
+    // ==================== ANIMATION HELPERS ====================
+
+    play(element, keyframes, options) {
+        return new Promise(resolve => {
+            element.animate(keyframes, { fill: 'forwards', ...options }).onfinish = resolve;
+        });
+    }
+
+    playExpansion(element, keyframes, options) {
+        return new Promise(resolve => {
+            const animation = element.animate(keyframes, { fill: 'forwards', ...options });
+
+            // Tracked so cancelTransition() can play it back; onfinish also
+            // fires once a cancelled expansion has reached its start again
+            this.expandAnimations.push(animation);
+            animation.onfinish = resolve;
+        });
+    }
+
+    createColorLayer(fillColor) {
+        this.transitionLogo = document.createElement('div');
+        this.transitionLogo.className = 'transition-logo transition-color-layer';
+        this.transitionLogo.style.background = fillColor;
+
+        this.overlay.appendChild(this.transitionLogo);
+    }
+
+    paintBackground(fill) {
+        if (this.timeline && this.timeline.recording) {
+            this.markTimeline(fill ? 'colour' : 'clear', fill ? 'Colour swap' : 'Colour cleared', { fill });
+        }
+
+        // Fills may be gradients; pin them to the viewport like the logo
+        document.body.style.background = fill || '';
+        document.body.style.backgroundAttachment = fill ? 'fixed' : '';
+    }
+
+    // ==================== MANIFEST ====================
+
+    // {
+    //   "services": {
+    //     "spotify": {
+    //       "name": "Spotify", "url": "spotify.html",
+    //       "logo": "<svg ...>...</svg>" (or an image URL),
+    //       "color": "#1DB954", "scale": 10, "offsetX": 0, ...MANIFEST_FIELDS
+    //     }
+    //   }
+    // }
+    async loadManifest() {
+        const inline = document.querySelector('script[type="application/json"][data-transition-manifest]');
+        const url = document.documentElement.dataset.transitionManifest;
+
+        try {
+            let manifest = null;
+            if (inline) {
+                manifest = JSON.parse(inline.textContent);
+            } else if (url) {
+                // The page stays hidden until the manifest is in, so don't wait forever
+                const response = await fetch(url, { signal: AbortSignal.timeout(this.config.manifestTimeout) });
+                if (!response.ok) throw new Error(`Failed to load ${url} (${response.status})`);
+                manifest = await response.json();
+            }
+
+            if (!manifest) return null;
+            if (typeof manifest.services !== 'object' || manifest.services === null) {
+                throw new Error('manifest has no "services" object');
+            }
+            return manifest;
+        } catch (error) {
+            console.warn('LogoTransition: ignoring transition manifest', error);
+            return null;
+        }
+    }
+
+    applyManifest() {
+        if (!this.manifest) return;
+
+        const services = this.manifest.services;
+
+        document.querySelectorAll('[data-transition-grid]').forEach(grid => {
+            grid.replaceChildren(...Object.keys(services).map(key => this.renderTile(key, services[key])));
+        });
+
+        // Hand-written markup wins; the manifest only fills in the blanks
+        document.querySelectorAll(`${this.selectors.tile}, ${this.selectors.hero}`).forEach(el => {
+            const entry = services[el.dataset.service];
+            if (!entry) return;
+
+            LogoTransition.MANIFEST_FIELDS.forEach(field => {
+                if (entry[field] !== undefined && el.dataset[field] === undefined) el.dataset[field] = entry[field];
+            });
+
+            const isHero = el.matches(this.selectors.hero);
+            const logoWrapper = isHero ? el : el.querySelector(this.selectors.tileLogo);
+            if (logoWrapper && !logoWrapper.firstElementChild && entry.logo) {
+                logoWrapper.innerHTML = this.renderLogo(entry.logo, entry.name);
+            }
+
+            // Service pages theme themselves from --service-color
+            if (isHero && entry.color && CSS.supports('color', entry.color)
+                && !getComputedStyle(document.documentElement).getPropertyValue('--service-color').trim()) {
+                document.documentElement.style.setProperty('--service-color', entry.color);
+            }
+        });
+    }
+
+    renderTile(key, entry) {
+        const link = document.createElement('a');
+        link.href = entry.url || `${key}.html`;
+        link.className = 'service-link';
+        link.dataset.service = key;
+
+        const logoWrapper = document.createElement('div');
+        logoWrapper.className = 'logo-wrapper';
+        if (entry.logo) logoWrapper.innerHTML = this.renderLogo(entry.logo, entry.name);
+
+        const name = document.createElement('span');
+        name.className = 'service-name';
+        name.textContent = entry.name || key;
+
+        link.append(logoWrapper, name);
+        return link;
+    }
+
+    renderLogo(logo, name = '') {
+        if (logo.trim().startsWith('<')) return logo;
+
+        // Anything else is an image URL (raster or SVG file)
+        const img = document.createElement('img');
+        img.src = logo;
+        img.alt = name;
+        return img.outerHTML;
+    }
+
+    buildManifest() {
+        const services = {};
+        const existing = this.manifest ? this.manifest.services : {};
+        const numeric = ['scale', 'offsetX', 'offsetY', 'expandDuration', 'shrinkDuration'];
+
+        // The page as it is now, including any edits made in the debug panel
+        document.querySelectorAll(this.selectors.tile).forEach(link => {
+            const key = link.dataset.service;
+            const nameElement = link.querySelector(this.selectors.tileName);
+            const logoWrapper = link.querySelector(this.selectors.tileLogo);
+            const logo = logoWrapper && logoWrapper.firstElementChild;
+            const entry = { ...existing[key] };
+
+            entry.name = entry.name || (nameElement ? nameElement.textContent.trim() : key);
+            entry.url = link.getAttribute('href');
+            if (!entry.logo && logo) entry.logo = logo.tagName === 'IMG' ? logo.getAttribute('src') : logo.outerHTML;
+
+            LogoTransition.MANIFEST_FIELDS.forEach(field => {
+                const value = link.dataset[field];
+                if (value === undefined || value === '') return;
+                entry[field] = numeric.includes(field) && Number.isFinite(parseFloat(value)) ? parseFloat(value) : value;
+            });
+
+            services[key] = entry;
+        });
+
+        // Entries for services not on this page are kept as they were
+        return { ...this.manifest, services: { ...existing, ...services } };
+    }
+
+    // ==================== LOGO SOURCES ====================
+
+    async loadLogo(serviceData) {
+        if (!serviceData.svgContent) {
+            serviceData.svgContent = await this.getLogoMarkup(serviceData.logoElement);
+        }
+
+        return serviceData.svgContent;
+    }
+
+    // Every logo travels as standalone SVG markup: inline SVG as it is,
+    // sprite references resolved, and rasters wrapped in an <image>
+    async getLogoMarkup(logoWrapper) {
+        const svg = logoWrapper.querySelector('svg');
+        if (svg) {
+            if (!svg.querySelector('use')) return svg.outerHTML;
+            // Sprites may come from a CDN, so treat them as untrusted
+            return this.sanitizeSvg(await this.inlineSprites(svg)) || this.wrapRaster(null);
+        }
+
+        const img = logoWrapper.querySelector('img');
+        if (img) {
+            return this.wrapRaster(this.getBestSource(img), img.naturalWidth, img.naturalHeight,
+                getComputedStyle(img).objectFit === 'cover' ? 'slice' : 'meet');
+        }
+
+        const background = this.getBackgroundImage(logoWrapper);
+        if (background) {
+            const image = new Image();
+            image.src = background.url;
+            await image.decode().catch(() => {});
+            return this.wrapRaster(background.url, image.naturalWidth, image.naturalHeight, background.fit);
+        }
+
+        console.warn('LogoTransition: no logo found in', logoWrapper);
+        return this.wrapRaster(null);
+    }
+
+    wrapRaster(url, width, height, fit = 'meet') {
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNamespace, 'svg');
+        // Without a known size (image not loaded yet) assume a square logo
+        svg.setAttribute('viewBox', `0 0 ${width || 1} ${height || 1}`);
+
+        if (url) {
+            const image = document.createElementNS(svgNamespace, 'image');
+            image.setAttribute('href', url);
+            image.setAttribute('width', width || 1);
+            image.setAttribute('height', height || 1);
+            image.setAttribute('preserveAspectRatio', `xMidYMid ${fit}`);
+            svg.appendChild(image);
+        }
+
+        return svg.outerHTML;
+    }
+
+    getBestSource(img) {
+        const current = img.currentSrc || img.src;
+        const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+        const srcsets = picture
+            ? [...picture.querySelectorAll('source'), img].map(el => this.parseSrcset(el.srcset))
+            : [this.parseSrcset(img.srcset)];
+
+        // Stay within the set the browser picked (right media query and
+        // format), but take its largest candidate
+        const candidates = srcsets.find(set => set.some(candidate => candidate.url === current))
+            || srcsets[srcsets.length - 1];
+        if (candidates.length === 0) return current;
+
+        return candidates.reduce((best, candidate) => candidate.size > best.size ? candidate : best).url;
+    }
+
+    parseSrcset(srcset) {
+        if (!srcset) return [];
+
+        // Sizes within one srcset share a unit (w or x), so they compare directly
+        return srcset.split(/,\s+/).map(entry => {
+            const [url, descriptor = '1x'] = entry.trim().split(/\s+/);
+            return { url: new URL(url, document.baseURI).href, size: parseFloat(descriptor) || 1 };
+        });
+    }
+
+    getBackgroundImage(logoWrapper) {
+        for (const el of [logoWrapper, ...logoWrapper.querySelectorAll('*')]) {
+            const style = getComputedStyle(el);
+            // Computed URLs are absolute; image-set() lists one per resolution
+            const candidates = Array.from(style.backgroundImage.matchAll(/url\("?([^")]+)"?\)(?:\s+([\d.]+)(?:x|dppx))?/g),
+                match => ({ url: match[1], size: parseFloat(match[2]) || 1 }));
+            if (candidates.length === 0) continue;
+
+            const best = candidates.reduce((a, b) => b.size > a.size ? b : a);
+            return { url: best.url, fit: style.backgroundSize === 'cover' ? 'slice' : 'meet' };
+        }
+
+        return null;
+    }
+
+    async inlineSprites(svg) {
+        const copy = svg.cloneNode(true);
+        // The copy leaves the page, so fix the colour currentColor resolves to
+        copy.style.color = getComputedStyle(svg).color;
+
+        await Promise.all(Array.from(copy.querySelectorAll('use')).map(async use => {
+            const href = use.getAttribute('href') || use.getAttributeNS('http://www.w3.org/1999/xlink', 'href') || '';
+            const [path, id] = href.split('#');
+            const source = path ? await this.loadSprite(new URL(path, document.baseURI).href) : document;
+            const symbol = source && id ? source.getElementById(id) : null;
+
+            if (symbol) {
+                use.replaceWith(this.expandUse(use, symbol));
+            } else {
+                use.remove();
+            }
+        }));
+
+        return copy.outerHTML;
+    }
+
+    expandUse(use, symbol) {
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        const group = document.createElementNS(svgNamespace, 'g');
+
+        // Styling on the <use> carries over; its x/y become a translation
+        Array.from(use.attributes).forEach(attr => {
+            if (!['href', 'xlink:href', 'x', 'y', 'width', 'height'].includes(attr.name)) {
+                group.setAttribute(attr.name, attr.value);
+            }
+        });
+        const x = parseFloat(use.getAttribute('x')) || 0;
+        const y = parseFloat(use.getAttribute('y')) || 0;
+        if (x || y) {
+            group.setAttribute('transform', `${group.getAttribute('transform') || ''} translate(${x} ${y})`.trim());
+        }
+
+        let content;
+        if (symbol.localName === 'symbol') {
+            // A symbol renders like a nested <svg> sized by the <use>
+            content = document.createElementNS(svgNamespace, 'svg');
+            ['viewBox', 'preserveAspectRatio'].forEach(name => {
+                if (symbol.hasAttribute(name)) content.setAttribute(name, symbol.getAttribute(name));
+            });
+            content.setAttribute('width', use.getAttribute('width') || '100%');
+            content.setAttribute('height', use.getAttribute('height') || '100%');
+            content.append(...Array.from(symbol.childNodes, node => document.importNode(node, true)));
+        } else {
+            content = document.importNode(symbol, true);
+            content.removeAttribute('id');
+        }
+
+        group.appendChild(content);
+        return group;
+    }
+
+    loadSprite(url) {
+        if (!this.spriteDocuments.has(url)) {
+            this.spriteDocuments.set(url, fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Failed to load ${url} (${response.status})`);
+                    return response.text();
+                })
+                .then(text => new DOMParser().parseFromString(text, 'image/svg+xml'))
+                .catch(error => {
+                    console.warn('LogoTransition: could not load sprite', error);
+                    return null;
+                }));
+        }
+
+        return this.spriteDocuments.get(url);
+    }
+
+    async toDataUrl(url) {
+        const response = await fetch(url, { mode: 'cors' });
+        if (!response.ok) throw new Error(`Failed to load ${url} (${response.status})`);
+
+        const blob = await response.blob();
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // ==================== AUTO-FIT ====================
+
+    prepareAutoFit() {
+        // Rasterise auto-fit logos up front so the first click doesn't wait
+        document.querySelectorAll('a[href]').forEach(link => {
+            const source = this.getLinkSource(link);
+            if (!source) return;
+
+            const serviceData = this.getSourceData(source, link);
+            if (!serviceData.autoFit) return;
+
+            this.loadLogo(serviceData)
+                .then(svgContent => this.getLogoMask(svgContent))
+                .catch(() => {});
+        });
+    }
+
+    async applyAutoFit(serviceData) {
+        if (!serviceData.autoFit) return;
+
+        const fit = await this.computeAutoFit(serviceData.svgContent).catch(() => null);
+        if (fit) Object.assign(serviceData, fit);
+    }
+
+    async computeAutoFit(svgContent, vw = window.innerWidth, vh = window.innerHeight) {
+        const mask = await this.getLogoMask(svgContent);
+        const rect = this.findCoverRect(mask, vw / vh);
+        if (!rect) return null;
+
+        // Size the logo so that rect spans the viewport (with a little slack
+        // for anti-aliasing), then move the rect's centre to the screen centre
+        const margin = 1.05;
+        const size = mask.size;
+        const finalSize = Math.max(vw / (rect.width / size), vh / (rect.height / size)) * margin;
+        const centerX = (rect.x + rect.width / 2) / size;
+        const centerY = (rect.y + rect.height / 2) / size;
+
+        return {
+            scale: +(finalSize / Math.max(vw, vh)).toFixed(2),
+            offsetX: +((finalSize * (0.5 - centerX)) / vw * 100).toFixed(2),
+            offsetY: +((finalSize * (0.5 - centerY)) / vh * 100).toFixed(2),
+        };
+    }
+
+    getLogoMask(svgContent, size = 128) {
+        if (!this.logoMasks.has(svgContent)) {
+            this.logoMasks.set(svgContent, this.rasterizeLogo(svgContent, size).then(imageData => {
+                // Only fully opaque pixels count; anti-aliased edges are holes
+                const solid = new Uint8Array(size * size);
+                for (let i = 0; i < solid.length; i++) {
+                    solid[i] = imageData.data[i * 4 + 3] >= 250 ? 1 : 0;
+                }
+                return { size, solid };
+            }));
+        }
+
+        return this.logoMasks.get(svgContent);
+    }
+
+    async rasterizeLogo(svgContent, size) {
+        const container = document.createElement('div');
+        container.innerHTML = svgContent;
+
+        const svg = container.querySelector('svg');
+        svg.setAttribute('width', size);
+        svg.setAttribute('height', size);
+
+        // An SVG drawn as an image can't load anything itself, so raster
+        // logos are embedded as data URLs (needs CORS for other origins)
+        await Promise.all(Array.from(svg.querySelectorAll('image')).map(async image => {
+            const href = image.getAttribute('href');
+            if (href && !href.startsWith('data:')) image.setAttribute('href', await this.toDataUrl(href));
+        }));
+
+        const blob = new Blob([new XMLSerializer().serializeToString(svg)], { type: 'image/svg+xml' });
+        const url = URL.createObjectURL(blob);
+
+        try {
+            const image = new Image();
+            image.src = url;
+            await image.decode();
+
+            const canvas = document.createElement('canvas');
+            canvas.width = size;
+            canvas.height = size;
+
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(image, 0, 0, size, size);
+            return ctx.getImageData(0, 0, size, size);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    findCoverRect({ size, solid }, aspect) {
+        // Summed-area table of holes, so any rectangle is checked in O(1)
+        const stride = size + 1;
+        const holes = new Uint32Array(stride * stride);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                holes[(y + 1) * stride + x + 1] = (1 - solid[y * size + x])
+                    + holes[y * stride + x + 1]
+                    + holes[(y + 1) * stride + x]
+                    - holes[y * stride + x];
+            }
+        }
+
+        const holesIn = (x, y, w, h) => holes[(y + h) * stride + x + w]
+            - holes[y * stride + x + w]
+            - holes[(y + h) * stride + x]
+            + holes[y * stride + x];
+
+        // Solid rectangles with the viewport's aspect ratio at a given height,
+        // preferring the one closest to the logo's centre
+        const fitAt = (h) => {
+            const w = Math.max(1, Math.round(h * aspect));
+            if (w > size || h > size) return null;
+
+            let best = null;
+            let bestDistance = Infinity;
+            for (let y = 0; y + h <= size; y++) {
+                for (let x = 0; x + w <= size; x++) {
+                    if (holesIn(x, y, w, h) > 0) continue;
+
+                    const distance = Math.hypot(x + w / 2 - size / 2, y + h / 2 - size / 2);
+                    if (distance < bestDistance) {
+                        best = { x, y, width: w, height: h };
+                        bestDistance = distance;
+                    }
+                }
+            }
+            return best;
+        };
+
+        // A solid rectangle fits at every height below the largest one
+        let low = 1;
+        let high = size;
+        let best = null;
+        while (low <= high) {
+            const mid = Math.floor((low + high) / 2);
+            const rect = fitAt(mid);
+
+            if (rect) {
+                best = rect;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return best;
+    }
+
+    // ==================== FILL ====================
+
+    async applyAutoFill(serviceData) {
+        if (!serviceData.autoFill) return;
+
+        const fill = await this.computeFill(serviceData).catch(() => null);
+        if (fill) serviceData.fillColor = fill;
+    }
+
+    // Samples the part of the logo that covers the viewport once expanded.
+    // Uniform regions give a flat colour, others the linear or radial
+    // gradient that varies the same way as the covering artwork
+    async computeFill({ svgContent, scale, offsetX, offsetY }, vw = window.innerWidth, vh = window.innerHeight) {
+        const size = 256;
+        if (!this.logoSamples.has(svgContent)) {
+            this.logoSamples.set(svgContent, this.rasterizeLogo(svgContent, size));
+        }
+        const imageData = await this.logoSamples.get(svgContent);
+
+        // Same geometry as expandLogo(), mapped into raster pixels
+        const { left, top, width: finalSize } = expandedRect({ scale, offsetX, offsetY }, { width: vw, height: vh });
+        const toRaster = size / finalSize;
+        const region = {
+            x: -left * toRaster,
+            y: -top * toRaster,
+            width: vw * toRaster,
+            height: vh * toRaster
+        };
+
+        const grid = 5;
+        const cells = [];
+        for (let row = 0; row < grid; row++) {
+            for (let col = 0; col < grid; col++) {
+                cells.push(this.averageColor(imageData, size, {
+                    x: region.x + (col / grid) * region.width,
+                    y: region.y + (row / grid) * region.height,
+                    width: region.width / grid,
+                    height: region.height / grid
+                }));
+            }
+        }
+
+        const overall = this.mixColors(cells);
+        if (!overall) return null;
+
+        const cell = (row, col) => cells[row * grid + col];
+        const columns = Array.from({ length: grid }, (_, col) =>
+            this.mixColors(Array.from({ length: grid }, (_, row) => cell(row, col))));
+        const rows = Array.from({ length: grid }, (_, row) =>
+            this.mixColors(Array.from({ length: grid }, (_, col) => cell(row, col))));
+        const center = this.mixColors([cell(2, 2), cell(1, 2), cell(2, 1), cell(2, 3), cell(3, 2)]);
+        const edge = this.mixColors(cells.filter((_, i) => {
+            const row = Math.floor(i / grid);
+            const col = i % grid;
+            return row === 0 || col === 0 || row === grid - 1 || col === grid - 1;
+        }));
+
+        const spread = colors => Math.max(0, ...colors.filter(Boolean).map(color => this.colorDistance(color, overall)));
+        const horizontal = spread(columns);
+        const vertical = spread(rows);
+        const radial = center && edge ? this.colorDistance(center, edge) / 2 : 0;
+
+        // Below this the eye won't tell a gradient from a flat colour
+        if (Math.max(horizontal, vertical, radial) < 12) return this.formatColor(overall);
+
+        if (radial > horizontal && radial > vertical) {
+            return `radial-gradient(circle, ${this.formatColor(center)}, ${this.formatColor(edge)})`;
+        }
+
+        const stops = (horizontal >= vertical ? columns : rows)
+            .map((color, i) => color && `${this.formatColor(color)} ${((i + 0.5) / grid * 100).toFixed(0)}%`)
+            .filter(Boolean);
+        return `linear-gradient(${horizontal >= vertical ? 'to right' : 'to bottom'}, ${stops.join(', ')})`;
+    }
+
+    averageColor(imageData, size, { x, y, width, height }) {
+        const x0 = Math.max(0, Math.floor(x));
+        const y0 = Math.max(0, Math.floor(y));
+        const x1 = Math.min(size, Math.ceil(x + width));
+        const y1 = Math.min(size, Math.ceil(y + height));
+        let r = 0, g = 0, b = 0, weight = 0;
+
+        // Weighted by alpha: transparent pixels show the page, not the logo
+        for (let py = y0; py < y1; py++) {
+            for (let px = x0; px < x1; px++) {
+                const i = (py * size + px) * 4;
+                const alpha = imageData.data[i + 3];
+                r += imageData.data[i] * alpha;
+                g += imageData.data[i + 1] * alpha;
+                b += imageData.data[i + 2] * alpha;
+                weight += alpha;
+            }
+        }
+
+        return weight ? { r: r / weight, g: g / weight, b: b / weight, weight } : null;
+    }
+
+    mixColors(colors) {
+        const present = colors.filter(Boolean);
+        const weight = present.reduce((sum, color) => sum + color.weight, 0);
+        if (!weight) return null;
+
+        const channel = name => present.reduce((sum, color) => sum + color[name] * color.weight, 0) / weight;
+        return { r: channel('r'), g: channel('g'), b: channel('b'), weight };
+    }
+
+    colorDistance(a, b) {
+        return Math.hypot(a.r - b.r, a.g - b.g, a.b - b.b);
+    }
+
+    formatColor({ r, g, b }) {
+        return `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+    }
+
+    // ==================== LAUNCHER ====================
+
+    // A command palette for the startpage: / or Ctrl/Cmd+K opens it, typing
+    // fuzzy-filters the tiles (dimming the rest of the grid), Enter runs the
+    // normal transition from the chosen tile. 1-9 open the first nine tiles
+    // directly, in grid order.
+
+    handleLauncherKey(e) {
+        if (!this.options.launcher || (this.launcher && this.launcher.open) || this.isEditable(e.target)) return false;
+
+        const tiles = document.querySelectorAll(this.selectors.tile);
+        if (tiles.length === 0) return false;
+
+        const palette = (e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey)
+            || (e.key.toLowerCase() === 'k' && (e.ctrlKey || e.metaKey) && !e.altKey);
+        if (palette) {
+            e.preventDefault();
+            this.openLauncher();
+            return true;
+        }
+
+        if (/^[1-9]$/.test(e.key) && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            const tile = tiles[Number(e.key) - 1];
+            if (!tile) return false;
+
+            e.preventDefault();
+            this.launch(tile);
+            return true;
+        }
+
+        return false;
+    }
+
+    createLauncher() {
+        this.launcher = document.createElement('dialog');
+        this.launcher.className = 'transition-launcher';
+        this.launcher.setAttribute('aria-label', 'Open a service');
+        this.launcher.innerHTML = `
+            <input type="text" class="launcher-input" placeholder="Open a service…"
+                role="combobox" aria-expanded="true" aria-controls="launcher-results" aria-autocomplete="list"
+                autocomplete="off" spellcheck="false">
+            <ul class="launcher-results" id="launcher-results" role="listbox" aria-label="Services"></ul>
+            <p class="launcher-hint">↑↓ choose · Enter open · Esc close</p>
+        `;
+
+        const style = document.createElement('style');
+        this.launcherStyle = style;
+        style.textContent = `
+            .transition-launcher {
+                width: min(420px, calc(100vw - 2rem));
+                margin: 15vh auto auto;
+                padding: 0.5rem;
+                background: rgba(20, 20, 30, 0.97);
+                color: #fff;
+                border: 1px solid rgba(255,255,255,0.1);
+                border-radius: 12px;
+                font-family: Inter, system-ui, sans-serif;
+                box-shadow: 0 20px 60px rgba(0,0,0,0.5);
+            }
+            .transition-launcher::backdrop {
+                background: rgba(0, 0, 0, 0.4);
+            }
+            .launcher-input {
+                width: 100%;
+                padding: 0.75rem;
+                background: transparent;
+                border: none;
+                border-bottom: 1px solid rgba(255,255,255,0.1);
+                color: inherit;
+                font: inherit;
+                font-size: 1rem;
+                outline: none;
+            }
+            .launcher-results {
+                list-style: none;
+                margin: 0.5rem 0 0;
+                padding: 0;
+                max-height: 50vh;
+                overflow-y: auto;
+            }
+            .launcher-results li {
+                display: flex;
+                align-items: center;
+                gap: 0.75rem;
+                padding: 0.6rem 0.75rem;
+                border-radius: 8px;
+                cursor: pointer;
+            }
+            .launcher-results li[aria-selected="true"] {
+                background: rgba(99, 102, 241, 0.25);
+            }
+            .launcher-results mark {
+                background: none;
+                color: #a5b4fc;
+                font-weight: 700;
+            }
+            .launcher-results kbd {
+                margin-left: auto;
+                padding: 0.1rem 0.4rem;
+                border: 1px solid rgba(255,255,255,0.2);
+                border-radius: 4px;
+                font: 11px monospace;
+                color: #888;
+            }
+            .launcher-empty {
+                color: #888;
+                cursor: default;
+            }
+            .launcher-hint {
+                margin: 0.5rem 0.75rem 0.25rem;
+                font-size: 11px;
+                color: #888;
+            }
+            .launcher-dimmed {
+                opacity: 0.25;
+                transition: opacity 0.2s ease;
+            }
+            .launcher-active {
+                outline: 2px solid #6366f1;
+                outline-offset: 6px;
+                border-radius: 12px;
+            }
+        `;
+        document.head.appendChild(style);
+        document.body.appendChild(this.launcher);
+
+        const input = this.launcher.querySelector('.launcher-input');
+        input.addEventListener('input', () => {
+            this.launcherIndex = 0;
+            this.updateLauncher();
+        });
+        input.addEventListener('keydown', (e) => {
+            const count = this.launcherResults.length;
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (count === 0) return;
+                this.launcherIndex = (this.launcherIndex + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+                this.updateLauncher();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.chooseLauncherResult(this.launcherIndex);
+            }
+        });
+
+        this.launcher.querySelector('.launcher-results').addEventListener('click', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (option) this.chooseLauncherResult(Number(option.dataset.index));
+        });
+
+        // A click on the backdrop lands on the dialog itself
+        this.launcher.addEventListener('click', (e) => {
+            if (e.target === this.launcher) this.closeLauncher();
+        });
+        this.launcher.addEventListener('close', () => this.highlightTiles(null));
+    }
+
+    openLauncher() {
+        if (!this.launcher) this.createLauncher();
+
+        const input = this.launcher.querySelector('.launcher-input');
+        input.value = '';
+        this.launcherIndex = 0;
+        this.updateLauncher();
+        this.launcher.showModal();
+        input.focus();
+    }
+
+    closeLauncher() {
+        if (this.launcher && this.launcher.open) this.launcher.close();
+    }
+
+    updateLauncher() {
+        const query = this.launcher.querySelector('.launcher-input').value.trim().toLowerCase();
+        const list = this.launcher.querySelector('.launcher-results');
+        const input = this.launcher.querySelector('.launcher-input');
+
+        this.launcherResults = Array.from(document.querySelectorAll(this.selectors.tile))
+            .map((link, index) => {
+                const name = this.getTileName(link);
+                return { link, index, name, match: this.fuzzyMatch(query, name) };
+            })
+            .filter(result => result.match)
+            .sort((a, b) => b.match.score - a.match.score || a.index - b.index);
+
+        list.replaceChildren(...this.launcherResults.map((result, i) => {
+            const option = document.createElement('li');
+            option.id = `launcher-option-${i}`;
+            option.dataset.index = i;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', String(i === this.launcherIndex));
+
+            // Matched letters in <mark>, built as nodes so names stay text
+            const name = document.createElement('span');
+            Array.from(result.name).forEach((char, position) => {
+                if (result.match.indices.includes(position)) {
+                    const mark = document.createElement('mark');
+                    mark.textContent = char;
+                    name.appendChild(mark);
+                } else {
+                    name.append(char);
+                }
+            });
+            option.appendChild(name);
+
+            if (result.index < 9) {
+                const key = document.createElement('kbd');
+                key.textContent = result.index + 1;
+                option.appendChild(key);
+            }
+            return option;
+        }));
+
+        if (this.launcherResults.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'launcher-empty';
+            empty.textContent = 'No matching service';
+            list.appendChild(empty);
+        }
+
+        const selected = this.launcherResults[this.launcherIndex];
+        if (selected) {
+            input.setAttribute('aria-activedescendant', `launcher-option-${this.launcherIndex}`);
+            list.children[this.launcherIndex].scrollIntoView({ block: 'nearest' });
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+
+        this.highlightTiles(query ? this.launcherResults : null, selected);
+    }
+
+    highlightTiles(results, selected = null) {
+        const matches = results && new Set(results.map(result => result.link));
+
+        document.querySelectorAll(this.selectors.tile).forEach(link => {
+            link.classList.toggle('launcher-dimmed', Boolean(matches) && !matches.has(link));
+            link.classList.toggle('launcher-active', Boolean(selected) && selected.link === link);
+        });
+    }
+
+    chooseLauncherResult(index) {
+        const result = this.launcherResults[index];
+        if (!result) return;
+
+        // Close first so the tile is measured without the dialog on top
+        this.closeLauncher();
+        this.launch(result.link);
+    }
+
+    getTileName(link) {
+        const name = link.querySelector(this.selectors.tileName);
+        return (name ? name.textContent.trim() : '') || link.dataset.service;
+    }
+
+    fuzzyMatch(query, text) {
+        // Letters of the query in order, not necessarily adjacent; runs of
+        // adjacent letters and word starts rank higher
+        const lower = text.toLowerCase();
+        const indices = [];
+        let score = 0;
+
+        for (const char of query) {
+            const from = indices.length > 0 ? indices[indices.length - 1] + 1 : 0;
+            const index = lower.indexOf(char, from);
+            if (index === -1) return null;
+
+            score += 1;
+            if (indices.length > 0 && index === from) score += 3;
+            // Capitals count as word starts too (YouTube, GitHub)
+            if (index === 0 || /[\s._-]/.test(lower[index - 1]) || text[index] !== lower[index]) score += 2;
+            indices.push(index);
+        }
+
+        return { score, indices };
+    }
+
+    // ==================== DEBUG PANEL ====================
+
+    createDebugPanel() {
+        const { shortcut } = this.options;
+        this.debugPanel = document.createElement('div');
+        this.debugPanel.className = 'debug-panel';
+        this.debugPanel.innerHTML = `
+            <div class="debug-header">
+                <h3>🎛️ Transition Controls</h3>
+                ${shortcut ? '<span class="debug-hint"></span>' : ''}
+            </div>
+            <div class="debug-content">
+                <div class="debug-section">
+                    <label>Select Logo:</label>
+                    <select id="debug-logo-select"></select>
+                </div>
+                <div class="debug-section">
+                    <label>Color:</label>
+                    <input type="text" id="debug-color" placeholder="auto" spellcheck="false">
+                </div>
+                <div class="debug-section">
+                    <label>Scale: <span id="scale-value">${this.defaults.scale}</span><span id="scale-unit">x</span></label>
+                    <label class="debug-check"><input type="checkbox" id="debug-scale-auto"> Auto (solved per viewport)</label>
+                    <input type="range" id="debug-scale" min="1" max="50" value="${this.defaults.scale}" step="0.5">
+                </div>
+                <div class="debug-section">
+                    <label>Offset X: <span id="offsetX-value">0</span>%</label>
+                    <input type="range" id="debug-offsetX" min="-100" max="100" value="0" step="1">
+                </div>
+                <div class="debug-section">
+                    <label>Offset Y: <span id="offsetY-value">0</span>%</label>
+                    <input type="range" id="debug-offsetY" min="-100" max="100" value="0" step="1">
+                </div>
+                <div class="debug-section">
+                    <label>Expand: <span id="expandDuration-value">800</span>ms</label>
+                    <input type="range" id="debug-expandDuration" min="100" max="3000" value="800" step="50">
+                </div>
+                <div class="debug-section">
+                    <label>Shrink: <span id="shrinkDuration-value">600</span>ms</label>
+                    <input type="range" id="debug-shrinkDuration" min="100" max="3000" value="600" step="50">
+                </div>
+                <div class="debug-section">
+                    <label>Expand Easing:</label>
+                    <input type="text" id="debug-easing" class="debug-easing" spellcheck="false">
+                </div>
+                <div class="debug-section">
+                    <label>Shrink Easing:</label>
+                    <input type="text" id="debug-shrinkEasing" class="debug-easing" spellcheck="false">
+                </div>
+                <div class="debug-section">
+                    <canvas id="debug-bezier" width="248" height="160"></canvas>
+                </div>
+                <div class="debug-section">
+                    <label>Preview Target:</label>
+                    <select id="debug-target">
+                        <option value="tile">Grid tile (round trip)</option>
+                        <option value="hero">Service page hero</option>
+                        <option value="center">Screen centre</option>
+                        <option value="custom">Custom rect</option>
+                    </select>
+                    <input type="text" id="debug-target-rect" placeholder="left, top, width, height" spellcheck="false" hidden>
+                </div>
+                <div class="debug-section">
+                    <label>Speed: <span id="rate-value">1</span>×</label>
+                    <input type="range" id="debug-rate" min="0.1" max="2" value="1" step="0.1">
+                </div>
+                <div class="debug-section" id="debug-timeline" hidden>
+                    <label>Timeline: <span id="timeline-value">0</span>ms</label>
+                    <div class="debug-scrubber">
+                        <input type="range" id="debug-scrub" min="0" max="0" value="0" step="1">
+                        <div class="debug-markers" id="debug-markers"></div>
+                    </div>
+                    <div class="debug-actions">
+                        <button id="debug-play">Play</button>
+                        <button id="debug-close-timeline">Close</button>
+                    </div>
+                </div>
+                <div class="debug-actions">
+                    <button id="debug-preview">Preview</button>
+                    <button id="debug-auto">Auto</button>
+                    <button id="debug-reset">Reset</button>
+                </div>
+                <div class="debug-actions">
+                    <button id="debug-copy">Copy Attributes</button>
+                    <button id="debug-copy-tag">Copy &lt;a&gt;</button>
+                </div>
+                <div class="debug-actions">
+                    <button id="debug-export-settings">Export</button>
+                    <button id="debug-import-settings">Import</button>
+                    <button id="debug-export">Export Manifest</button>
+                    <input type="file" id="debug-import-file" accept="application/json,.json" hidden>
+                </div>
+                <div class="debug-output" id="debug-output"></div>
+                <div class="debug-diff" id="debug-diff"></div>
+            </div>
+        `;
+        if (shortcut) {
+            this.debugPanel.querySelector('.debug-hint').textContent = `Press ${shortcut.toUpperCase()} to toggle`;
+        }
+
+        // Add styles for debug panel
+        const style = document.createElement('style');
+        this.debugStyle = style;
+        style.textContent = `
+            .debug-panel {
+                position: fixed;
+                bottom: 20px;
+                right: 20px;
+                background: rgba(20, 20, 30, 0.95);
+                border: 1px solid rgba(255,255,255,0.1);
+                border-radius: 12px;
+                padding: 16px;
+                min-width: 280px;
+                z-index: 10000;
+                font-family: 'Inter', sans-serif;
+                color: #fff;
+                display: none;
+                max-height: calc(100vh - 40px);
+                overflow-y: auto;
+                backdrop-filter: blur(10px);
+                box-shadow: 0 10px 40px rgba(0,0,0,0.5);
+            }
+            .debug-panel.visible { display: block; }
+            .debug-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                margin-bottom: 16px;
+                padding-bottom: 12px;
+                border-bottom: 1px solid rgba(255,255,255,0.1);
+            }
+            .debug-header h3 {
+                margin: 0;
+                font-size: 14px;
+                font-weight: 600;
+            }
+            .debug-hint {
+                font-size: 11px;
+                color: #888;
+            }
+            .debug-section {
+                margin-bottom: 14px;
+            }
+            .debug-section label {
+                display: block;
+                font-size: 12px;
+                color: #aaa;
+                margin-bottom: 6px;
             }
             .debug-section label span {
                 color: #6366f1;
                 font-weight: 600;
             }
+            .debug-section label.debug-check {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+            }
             .debug-section select,
-            .debug-section input[type="range"] {
+            .debug-section input[type="range"],
+            .debug-section input[type="text"],
+            .debug-section canvas {
                 width: 100%;
             }
+            .debug-section input[type="text"] {
+                background: #1a1a2e;
+                border: 1px solid rgba(255,255,255,0.1);
+                color: #fff;
+                padding: 8px;
+                border-radius: 6px;
+                font-family: monospace;
+                font-size: 12px;
+            }
+            #debug-target-rect {
+                margin-top: 6px;
+            }
+            .debug-scrubber {
+                position: relative;
+                padding-bottom: 10px;
+            }
+            .debug-markers {
+                position: absolute;
+                left: 8px;
+                right: 8px;
+                bottom: 0;
+                height: 8px;
+                pointer-events: none;
+            }
+            .debug-marker {
+                position: absolute;
+                width: 2px;
+                height: 8px;
+                margin-left: -1px;
+            }
+            .debug-marker.colour { background: #fbbf24; }
+            .debug-marker.clear { background: #888; }
+            .debug-marker.navigate { background: #6366f1; }
+            .debug-section input[type="text"].invalid {
+                border-color: #ef4444;
+            }
+            .debug-section canvas {
+                display: block;
+                background: #0a0a12;
+                border-radius: 6px;
+                cursor: crosshair;
+                touch-action: none;
+            }
             .debug-section select {
                 background: #1a1a2e;
                 border: 1px solid rgba(255,255,255,0.1);
@@ -413,6 +2540,7 @@ class LogoTransition {
             }
             .debug-actions {
                 display: flex;
+                flex-wrap: wrap;
                 gap: 8px;
                 margin-top: 16px;
             }
@@ -431,11 +2559,11 @@ class LogoTransition {
                 color: white;
             }
             #debug-preview:hover { background: #5558e3; }
-            #debug-copy {
+            .debug-actions button:not(#debug-preview) {
                 background: #2a2a3e;
                 color: #aaa;
             }
-            #debug-copy:hover { background: #3a3a4e; color: #fff; }
+            .debug-actions button:not(#debug-preview):hover { background: #3a3a4e; color: #fff; }
             .debug-output {
                 margin-top: 12px;
                 padding: 10px;
@@ -448,6 +2576,14 @@ class LogoTransition {
                 display: none;
             }
             .debug-output.visible { display: block; }
+            .debug-diff {
+                margin-top: 12px;
+                font-family: monospace;
+                font-size: 11px;
+                color: #888;
+                white-space: pre-wrap;
+            }
+            .debug-diff strong { color: #fbbf24; font-weight: 600; }
         `;
         document.head.appendChild(style);
         document.body.appendChild(this.debugPanel);
@@ -456,147 +2592,888 @@ class LogoTransition {
     }
 
     initDebugPanel() {
-        const serviceLinks = document.querySelectorAll('.service-link[data-service]');
         const select = document.getElementById('debug-logo-select');
 
-        if (!select || serviceLinks.length === 0) return;
-
-        // Populate logo selector
-        serviceLinks.forEach(link => {
-            const option = document.createElement('option');
-            option.value = link.dataset.service;
-            option.textContent = link.dataset.service.charAt(0).toUpperCase() + link.dataset.service.slice(1);
-            select.appendChild(option);
-        });
+        if (!select) return;
 
-        // Load initial values from first logo
-        this.loadLogoSettings(serviceLinks[0]);
+        this.initBezierEditor();
+        this.populateLogoSelect();
 
         // Change logo selection
         select.addEventListener('change', () => {
-            const link = document.querySelector(`.service-link[data-service="${select.value}"]`);
+            const link = this.getTile(select.value);
             if (link) this.loadLogoSettings(link);
         });
 
         // Update value displays
-        ['scale', 'offsetX', 'offsetY'].forEach(param => {
+        ['scale', 'offsetX', 'offsetY', 'expandDuration', 'shrinkDuration'].forEach(param => {
             const input = document.getElementById(`debug-${param}`);
             const display = document.getElementById(`${param}-value`);
             input.addEventListener('input', () => {
                 display.textContent = input.value;
+                this.updateLogoSettings(param);
+            });
+        });
+
+        // data-scale="auto" has no slider position; the slider rests meanwhile
+        const scaleAuto = document.getElementById('debug-scale-auto');
+        scaleAuto.addEventListener('change', () => {
+            this.showScaleSetting(scaleAuto.checked, document.getElementById('debug-scale').value);
+            this.updateLogoSettings('scale');
+        });
+
+        // Easing fields accept any CSS easing; invalid ones are flagged
+        document.querySelectorAll('.debug-easing').forEach(input => {
+            input.addEventListener('input', () => {
+                input.classList.toggle('invalid', !CSS.supports('animation-timing-function', input.value));
                 this.updateLogoSettings();
+                this.drawBezierEditor();
             });
         });
 
         // Preview button
         document.getElementById('debug-preview').addEventListener('click', () => {
-            const link = document.querySelector(`.service-link[data-service="${select.value}"]`);
+            const link = this.getTile(select.value);
             if (link) this.previewTransition(link);
         });
 
-        // Copy button
-        document.getElementById('debug-copy').addEventListener('click', () => {
-            this.copyAttributes();
+        // Auto button
+        document.getElementById('debug-auto').addEventListener('click', () => {
+            const link = this.getTile(select.value);
+            if (link) this.autoFitLogo(link);
+        });
+
+        // Copy button
+        document.getElementById('debug-copy').addEventListener('click', () => {
+            this.copyAttributes();
+        });
+
+        // Colour accepts any CSS colour or gradient; empty means sampled
+        const color = document.getElementById('debug-color');
+        color.addEventListener('input', () => {
+            color.classList.toggle('invalid', color.value !== '' && color.value !== 'auto'
+                && !CSS.supports('color', color.value) && !CSS.supports('background-image', color.value));
+            this.updateLogoSettings();
+        });
+
+        // Export button
+        document.getElementById('debug-export').addEventListener('click', () => {
+            this.exportManifest();
+        });
+
+        document.getElementById('debug-reset').addEventListener('click', () => {
+            const link = this.getTile(select.value);
+            if (link) this.resetLogoSettings(link);
+        });
+
+        document.getElementById('debug-copy-tag').addEventListener('click', () => {
+            const link = this.getTile(select.value);
+            if (link) this.copyLinkTag(link);
+        });
+
+        const target = document.getElementById('debug-target');
+        target.addEventListener('change', () => {
+            document.getElementById('debug-target-rect').hidden = target.value !== 'custom';
+        });
+
+        const rate = document.getElementById('debug-rate');
+        rate.addEventListener('input', () => {
+            this.previewRate = parseFloat(rate.value);
+            document.getElementById('rate-value').textContent = rate.value;
+        });
+
+        const scrub = document.getElementById('debug-scrub');
+        scrub.addEventListener('input', () => {
+            this.stopTimelinePlayback();
+            this.seekTimeline(parseFloat(scrub.value));
+        });
+        document.getElementById('debug-play').addEventListener('click', () => this.playTimeline());
+        document.getElementById('debug-close-timeline').addEventListener('click', () => this.endTimeline());
+
+        document.getElementById('debug-export-settings').addEventListener('click', () => {
+            this.exportDebugSettings();
+        });
+
+        // Import goes through a hidden file picker
+        const importFile = document.getElementById('debug-import-file');
+        document.getElementById('debug-import-settings').addEventListener('click', () => importFile.click());
+        importFile.addEventListener('change', () => {
+            if (importFile.files[0]) this.importDebugSettings(importFile.files[0]);
+            importFile.value = '';
+        });
+    }
+
+    populateLogoSelect() {
+        const serviceLinks = document.querySelectorAll(this.selectors.tile);
+        const select = document.getElementById('debug-logo-select');
+
+        if (!select) return;
+
+        // Populate logo selector (re-run when single-page mode swaps the page)
+        select.innerHTML = '';
+        serviceLinks.forEach(link => {
+            const option = document.createElement('option');
+            option.value = link.dataset.service;
+            option.textContent = link.dataset.service.charAt(0).toUpperCase() + link.dataset.service.slice(1);
+            select.appendChild(option);
         });
+
+        // Load initial values from first logo
+        if (serviceLinks.length > 0) this.loadLogoSettings(serviceLinks[0]);
+        this.renderSettingsDiff();
     }
 
     loadLogoSettings(link) {
-        const scale = parseFloat(link.dataset.scale) || this.defaults.scale;
-        const offsetX = parseFloat(link.dataset.offsetX) || this.defaults.offsetX;
-        const offsetY = parseFloat(link.dataset.offsetY) || this.defaults.offsetY;
+        const scale = this.parseScale(link.dataset.scale);
+        const offsetX = this.parseNumber(link.dataset.offsetX, this.defaults.offsetX);
+        const offsetY = this.parseNumber(link.dataset.offsetY, this.defaults.offsetY);
+        const expandDuration = this.parseNumber(link.dataset.expandDuration, this.config.expandDuration);
+        const shrinkDuration = this.parseNumber(link.dataset.shrinkDuration, this.config.shrinkDuration);
 
         document.getElementById('debug-scale').value = scale;
+        this.showScaleSetting(link.dataset.scale === 'auto', scale);
         document.getElementById('debug-offsetX').value = offsetX;
         document.getElementById('debug-offsetY').value = offsetY;
+        document.getElementById('debug-expandDuration').value = expandDuration;
+        document.getElementById('debug-shrinkDuration').value = shrinkDuration;
 
-        document.getElementById('scale-value').textContent = scale;
         document.getElementById('offsetX-value').textContent = offsetX;
         document.getElementById('offsetY-value').textContent = offsetY;
+        document.getElementById('expandDuration-value').textContent = expandDuration;
+        document.getElementById('shrinkDuration-value').textContent = shrinkDuration;
+
+        document.getElementById('debug-color').value = link.dataset.color || '';
+        document.getElementById('debug-color').classList.remove('invalid');
+        document.getElementById('debug-easing').value = link.dataset.easing || this.config.expandEasing;
+        document.getElementById('debug-shrinkEasing').value = link.dataset.shrinkEasing || this.config.shrinkEasing;
+        document.querySelectorAll('.debug-easing').forEach(input => input.classList.remove('invalid'));
+        this.drawBezierEditor();
+    }
+
+    showScaleSetting(auto, scale) {
+        document.getElementById('debug-scale-auto').checked = auto;
+        document.getElementById('debug-scale').disabled = auto;
+        document.getElementById('scale-value').textContent = auto ? 'auto' : scale;
+        document.getElementById('scale-unit').hidden = auto;
     }
 
-    updateLogoSettings() {
+    // changed names the control that moved; scale is only written when it was
+    // the scale, so tuning anything else keeps a logo's data-scale="auto"
+    updateLogoSettings(changed = null) {
         const select = document.getElementById('debug-logo-select');
-        const link = document.querySelector(`.service-link[data-service="${select.value}"]`);
+        const link = this.getTile(select.value);
 
         if (link) {
-            link.dataset.scale = document.getElementById('debug-scale').value;
+            if (changed === 'scale') {
+                link.dataset.scale = document.getElementById('debug-scale-auto').checked
+                    ? 'auto'
+                    : document.getElementById('debug-scale').value;
+            }
             link.dataset.offsetX = document.getElementById('debug-offsetX').value;
             link.dataset.offsetY = document.getElementById('debug-offsetY').value;
+            link.dataset.expandDuration = document.getElementById('debug-expandDuration').value;
+            link.dataset.shrinkDuration = document.getElementById('debug-shrinkDuration').value;
+            link.dataset.easing = document.getElementById('debug-easing').value;
+            link.dataset.shrinkEasing = document.getElementById('debug-shrinkEasing').value;
+
+            const color = document.getElementById('debug-color').value.trim();
+            if (color) {
+                link.dataset.color = color;
+            } else {
+                delete link.dataset.color;
+            }
+
+            // Keep a loaded manifest in step so it can be exported as edited
+            if (this.manifest) this.manifest = this.buildManifest();
+            this.persistLogoSettings(link);
+        }
+    }
+
+    initBezierEditor() {
+        const canvas = document.getElementById('debug-bezier');
+        let dragging = null;
+
+        // The editor follows whichever easing field was focused last
+        this.bezierField = document.getElementById('debug-easing');
+        document.querySelectorAll('.debug-easing').forEach(input => {
+            input.addEventListener('focus', () => {
+                this.bezierField = input;
+                this.drawBezierEditor();
+            });
+        });
+
+        canvas.addEventListener('pointerdown', (e) => {
+            const points = this.parseCubicBezier(this.bezierField.value);
+            if (!points) return;
+
+            // Grab whichever control point is closer
+            const { toCanvas, fromEvent } = this.bezierGeometry(canvas);
+            const [px, py] = fromEvent(e, false);
+            const distances = [0, 2].map(i => {
+                const [x, y] = toCanvas(points[i], points[i + 1]);
+                return Math.hypot(x - px, y - py);
+            });
+
+            dragging = distances[0] <= distances[1] ? 0 : 2;
+            canvas.setPointerCapture(e.pointerId);
+        });
+
+        canvas.addEventListener('pointermove', (e) => {
+            if (dragging === null) return;
+
+            const points = this.parseCubicBezier(this.bezierField.value);
+            if (!points) return;
+
+            const [x, y] = this.bezierGeometry(canvas).fromEvent(e, true);
+
+            // x must stay within 0..1 for a valid cubic-bezier()
+            points[dragging] = Math.min(1, Math.max(0, x));
+            points[dragging + 1] = Math.min(1.25, Math.max(-0.25, y));
+
+            this.bezierField.value = `cubic-bezier(${points.map(n => +n.toFixed(2)).join(', ')})`;
+            this.bezierField.classList.remove('invalid');
+            this.updateLogoSettings();
+            this.drawBezierEditor();
+        });
+
+        canvas.addEventListener('pointerup', () => { dragging = null; });
+    }
+
+    bezierGeometry(canvas) {
+        const pad = 16;
+        const width = canvas.width - pad * 2;
+        const height = canvas.height - pad * 2;
+
+        // y spans -0.25..1.25 so overshooting curves stay visible
+        const toCanvas = (x, y) => [pad + x * width, pad + (1.25 - y) / 1.5 * height];
+
+        const fromEvent = (e, asCurve) => {
+            const rect = canvas.getBoundingClientRect();
+            const cx = (e.clientX - rect.left) * (canvas.width / rect.width);
+            const cy = (e.clientY - rect.top) * (canvas.height / rect.height);
+            if (!asCurve) return [cx, cy];
+
+            return [(cx - pad) / width, 1.25 - (cy - pad) / height * 1.5];
+        };
+
+        return { toCanvas, fromEvent };
+    }
+
+    parseCubicBezier(value) {
+        const keywords = {
+            'linear': [0, 0, 1, 1],
+            'ease': [0.25, 0.1, 0.25, 1],
+            'ease-in': [0.42, 0, 1, 1],
+            'ease-out': [0, 0, 0.58, 1],
+            'ease-in-out': [0.42, 0, 0.58, 1],
+        };
+
+        const easing = value.trim();
+        if (keywords[easing]) return [...keywords[easing]];
+
+        const match = easing.match(/^cubic-bezier\(([^)]+)\)$/);
+        if (!match) return null;
+
+        const points = match[1].split(',').map(Number);
+        return points.length === 4 && points.every(Number.isFinite) ? points : null;
+    }
+
+    drawBezierEditor() {
+        const canvas = document.getElementById('debug-bezier');
+        if (!canvas || !this.bezierField) return;
+
+        const ctx = canvas.getContext('2d');
+        const { toCanvas } = this.bezierGeometry(canvas);
+        const [x0, y0] = toCanvas(0, 0);
+        const [x1, y1] = toCanvas(1, 1);
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.strokeStyle = 'rgba(255,255,255,0.1)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x0, y1, x1 - x0, y0 - y1);
+
+        const points = this.parseCubicBezier(this.bezierField.value);
+        if (!points) {
+            // linear() and steps() curves can still be typed, just not dragged
+            ctx.fillStyle = '#888';
+            ctx.font = '11px sans-serif';
+            ctx.fillText('Only cubic-bezier() curves are editable', x0 + 8, y1 + 18);
+            return;
         }
+
+        const [c1x, c1y] = toCanvas(points[0], points[1]);
+        const [c2x, c2y] = toCanvas(points[2], points[3]);
+
+        // Control point handles
+        ctx.strokeStyle = '#555';
+        ctx.beginPath();
+        ctx.moveTo(x0, y0);
+        ctx.lineTo(c1x, c1y);
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(c2x, c2y);
+        ctx.stroke();
+
+        // The curve itself
+        ctx.strokeStyle = '#6366f1';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x0, y0);
+        ctx.bezierCurveTo(c1x, c1y, c2x, c2y, x1, y1);
+        ctx.stroke();
+
+        ctx.fillStyle = '#fff';
+        [[c1x, c1y], [c2x, c2y]].forEach(([x, y]) => {
+            ctx.beginPath();
+            ctx.arc(x, y, 5, 0, Math.PI * 2);
+            ctx.fill();
+        });
     }
 
     async previewTransition(link) {
+        if (this.isTransitioning) return;
+
+        this.endTimeline();
+
+        // Runs the same preset, timing and easing as a real navigation
         const serviceData = this.getServiceData(link);
+        const preset = this.getPreset(serviceData.preset);
 
-        this.createTransitionLogo(serviceData);
+        this.isTransitioning = true;
         document.body.classList.add('transitioning');
 
-        const vw = window.innerWidth;
-        const vh = window.innerHeight;
-        const rect = serviceData.rect;
-        const maxDimension = Math.max(vw, vh);
-        // Scale as multiplier of viewport
-        const finalSize = maxDimension * serviceData.scale;
+        await this.loadLogo(serviceData);
+        await this.applyAutoFit(serviceData);
+        await this.applyAutoFill(serviceData);
 
-        const offsetPixelsX = (serviceData.offsetX / 100) * vw;
-        const offsetPixelsY = (serviceData.offsetY / 100) * vh;
+        this.startTimeline();
+        await preset.expand(this, { data: serviceData });
+        this.expandAnimations = [];
 
-        const centerX = vw / 2 - finalSize / 2 + offsetPixelsX;
-        const centerY = vh / 2 - finalSize / 2 + offsetPixelsY;
+        if (this.transitionCancelled) {
+            this.transitionCancelled = false;
+            this.endTimeline();
+            this.resetTransitionState();
+            return;
+        }
 
-        // Expand using width/height for sharp vector scaling
-        await new Promise(resolve => {
-            this.transitionLogo.animate([
-                { left: `${rect.left}px`, top: `${rect.top}px`, width: `${rect.width}px`, height: `${rect.height}px`, opacity: 1 },
-                { left: `${centerX}px`, top: `${centerY}px`, width: `${finalSize}px`, height: `${finalSize}px`, opacity: 1 }
-            ], { duration: 600, easing: 'cubic-bezier(0.4, 0, 0.2, 1)', fill: 'forwards' }).onfinish = resolve;
-        });
+        // Set background color when logo covers screen; a real transition
+        // navigates right after
+        this.paintBackground(serviceData.fillColor);
+        this.markTimeline('navigate', 'Navigation');
 
-        // Set background color when logo covers screen
-        document.body.style.backgroundColor = serviceData.fillColor;
+        // Hold for a moment, then shrink as the destination page would
+        await this.delay(this.config.previewHold);
 
-        // Hold for a moment
-        await this.delay(300);
+        const target = this.createPreviewTarget(serviceData);
+        await preset.shrink(this, { data: serviceData, target, reveal: () => {} });
 
-        // Shrink back
-        await new Promise(resolve => {
-            this.transitionLogo.animate([
-                { left: `${centerX}px`, top: `${centerY}px`, width: `${finalSize}px`, height: `${finalSize}px`, opacity: 1 },
-                { left: `${rect.left}px`, top: `${rect.top}px`, width: `${rect.width}px`, height: `${rect.height}px`, opacity: 1 }
-            ], { duration: 600, easing: 'cubic-bezier(0.4, 0, 0.2, 1)', fill: 'forwards' }).onfinish = resolve;
-        });
+        this.finishTimeline();
+    }
 
-        this.cleanup();
-        document.body.style.backgroundColor = '';
-        document.body.classList.remove('transitioning');
+    async autoFitLogo(link) {
+        const svgContent = await this.loadLogo(this.getServiceData(link));
+        const fit = await this.computeAutoFit(svgContent).catch(() => null);
+
+        if (!fit) {
+            this.showDebugOutput('Auto-fit: no solid region found in this logo');
+            return;
+        }
+
+        // Written straight to the link: solved offsets can exceed the sliders' range
+        link.dataset.scale = fit.scale;
+        link.dataset.offsetX = fit.offsetX;
+        link.dataset.offsetY = fit.offsetY;
+        this.loadLogoSettings(link);
+        this.persistLogoSettings(link);
+
+        this.showDebugOutput(`Auto-fit for ${window.innerWidth}×${window.innerHeight}: `
+            + `scale ${fit.scale}, offset ${fit.offsetX}% / ${fit.offsetY}%`);
     }
 
     copyAttributes() {
         const select = document.getElementById('debug-logo-select');
-        const scale = document.getElementById('debug-scale').value;
+        const scale = document.getElementById('debug-scale-auto').checked
+            ? 'auto'
+            : document.getElementById('debug-scale').value;
         const offsetX = document.getElementById('debug-offsetX').value;
         const offsetY = document.getElementById('debug-offsetY').value;
+        const expandDuration = document.getElementById('debug-expandDuration').value;
+        const shrinkDuration = document.getElementById('debug-shrinkDuration').value;
+        const easing = document.getElementById('debug-easing').value;
+        const shrinkEasing = document.getElementById('debug-shrinkEasing').value;
 
-        const attrs = `data-scale="${scale}" data-offset-x="${offsetX}" data-offset-y="${offsetY}"`;
+        const attrs = `data-scale="${scale}" data-offset-x="${offsetX}" data-offset-y="${offsetY}"`
+            + ` data-expand-duration="${expandDuration}" data-shrink-duration="${shrinkDuration}"`
+            + ` data-easing="${easing}" data-shrink-easing="${shrinkEasing}"`;
 
         navigator.clipboard.writeText(attrs).then(() => {
-            const output = document.getElementById('debug-output');
-            output.textContent = `Copied: ${attrs}`;
-            output.classList.add('visible');
-            setTimeout(() => output.classList.remove('visible'), 3000);
+            this.showDebugOutput(`Copied: ${attrs}`);
+        });
+    }
+
+    copyLinkTag(link) {
+        // The tile as it would be written by hand: current settings, without
+        // the attributes and styles the engine adds at runtime
+        const copy = link.cloneNode(true);
+
+        // Walked side by side, so each copy finds what was added to its original
+        const strip = (original, el) => {
+            const added = this.addedData.get(original);
+            if (added) added.forEach(name => delete el.dataset[name]);
+
+            el.classList.remove('launcher-dimmed', 'launcher-active', 'visible');
+            if (!el.classList.length) el.removeAttribute('class');
+            el.style.removeProperty('opacity');
+            if (!el.getAttribute('style')) el.removeAttribute('style');
+
+            Array.from(original.children).forEach((child, i) => strip(child, el.children[i]));
+        };
+        strip(link, copy);
+
+        navigator.clipboard.writeText(copy.outerHTML).then(() => {
+            this.showDebugOutput(`Copied <a> for ${link.dataset.service}`);
+        });
+    }
+
+    exportManifest() {
+        const manifest = this.buildManifest();
+        const json = JSON.stringify(manifest, null, 2);
+
+        // Download as transitions.json and keep a copy on the clipboard
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const download = document.createElement('a');
+        download.href = url;
+        download.download = 'transitions.json';
+        download.click();
+        URL.revokeObjectURL(url);
+
+        navigator.clipboard.writeText(json).catch(() => {});
+
+        this.showDebugOutput(`Exported ${Object.keys(manifest.services).length} services to transitions.json`);
+    }
+
+    showDebugOutput(message) {
+        const output = document.getElementById('debug-output');
+        output.textContent = message;
+        output.classList.add('visible');
+        setTimeout(() => output.classList.remove('visible'), 3000);
+    }
+
+    // ==================== PREVIEW TIMELINE ====================
+
+    // While a debug preview records, every animation it starts is captured
+    // with its start time, so the whole sequence can be paused and seeked
+    // afterwards by setting currentTime. Times are in preview milliseconds,
+    // i.e. at 1× speed.
+
+    startTimeline() {
+        const timeline = {
+            recording: true,
+            rate: this.previewRate,
+            startedAt: performance.now(),
+            entries: [],
+            markers: [],
+            duration: 0,
+            time: 0,
+            frame: null,
+            elements: []
+        };
+        this.timeline = timeline;
+
+        const capture = () => {
+            if (this.timeline !== timeline || !timeline.recording) return;
+            this.captureAnimations();
+            timeline.frame = requestAnimationFrame(capture);
+        };
+        capture();
+    }
+
+    timelineNow() {
+        return (performance.now() - this.timeline.startedAt) * this.timeline.rate;
+    }
+
+    captureAnimations() {
+        const timeline = this.timeline;
+        const now = this.timelineNow();
+        const main = document.querySelector(this.selectors.swap);
+
+        document.getAnimations().forEach(animation => {
+            // CSS transitions and animations belong to the page, not the preview
+            if (animation.transitionProperty !== undefined || animation.animationName !== undefined) return;
+            if (timeline.entries.some(entry => entry.animation === animation)) return;
+
+            const target = animation.effect && animation.effect.target;
+            if (!target || !(this.overlay.contains(target) || (main && main.contains(target)))) return;
+
+            animation.updatePlaybackRate(timeline.rate);
+            timeline.entries.push({ animation, offset: now - (animation.currentTime || 0) });
+        });
+    }
+
+    markTimeline(type, label, extra = {}) {
+        if (!this.timeline || !this.timeline.recording) return;
+
+        this.captureAnimations();
+        this.timeline.markers.push({ type, label, time: this.timelineNow(), ...extra });
+    }
+
+    createPreviewTarget(serviceData) {
+        const select = document.getElementById('debug-target');
+        const mode = select ? select.value : 'tile';
+        const source = serviceData.logoElement;
+
+        if (mode === 'tile') {
+            // Round trip: land back in the tile, hidden like a real target
+            source.style.opacity = '0';
+            this.timeline.restore = () => { source.style.opacity = ''; };
+            return source;
+        }
+
+        const vw = window.innerWidth;
+        const vh = window.innerHeight;
+        let rect;
+
+        if (mode === 'hero') {
+            // Where .hero-logo sits on a service page: 120px, centred in the
+            // 60vh hero above the heading and description
+            rect = { left: vw / 2 - 60, top: Math.max(64, vh * 0.3 - 130), width: 120, height: 120 };
+        } else if (mode === 'custom') {
+            const [left, top, width, height] = document.getElementById('debug-target-rect').value
+                .split(',').map(value => parseFloat(value));
+            rect = [left, top, width, height].every(Number.isFinite)
+                ? { left, top, width, height }
+                : { left: vw / 2 - 60, top: vh / 2 - 60, width: 120, height: 120 };
+        } else {
+            rect = { left: vw / 2 - 60, top: vh / 2 - 60, width: 120, height: 120 };
+        }
+
+        // Carries the artwork too, so "morph" has something to morph into
+        const target = document.createElement('div');
+        target.innerHTML = serviceData.svgContent;
+        target.style.cssText = `
+            position: fixed;
+            left: ${rect.left}px;
+            top: ${rect.top}px;
+            width: ${rect.width}px;
+            height: ${rect.height}px;
+            visibility: hidden;
+            pointer-events: none;
+        `;
+        document.body.appendChild(target);
+        this.timeline.elements.push(target);
+
+        return target;
+    }
+
+    finishTimeline() {
+        const timeline = this.timeline;
+        if (!timeline) return;
+
+        this.captureAnimations();
+        timeline.recording = false;
+        timeline.duration = Math.ceil(this.timelineNow());
+        cancelAnimationFrame(timeline.frame);
+        if (timeline.restore) timeline.restore();
+
+        // The timeline owns the overlay logo now; the engine is free again
+        if (this.transitionLogo) timeline.elements.push(this.transitionLogo);
+        this.transitionLogo = null;
+        this.isTransitioning = false;
+        document.body.classList.remove('transitioning');
+
+        this.renderTimeline();
+        this.seekTimeline(timeline.duration);
+    }
+
+    renderTimeline() {
+        const panel = document.getElementById('debug-timeline');
+        if (!panel) return;
+
+        const { duration, markers } = this.timeline;
+        const scrub = document.getElementById('debug-scrub');
+        scrub.max = duration;
+
+        const track = document.getElementById('debug-markers');
+        track.replaceChildren(...markers.map(marker => {
+            const tick = document.createElement('div');
+            tick.className = `debug-marker ${marker.type}`;
+            tick.style.left = `${(marker.time / duration) * 100}%`;
+            tick.title = `${marker.label} at ${Math.round(marker.time)}ms`;
+            return tick;
+        }));
+
+        panel.hidden = false;
+        this.showDebugOutput(markers.map(marker => `${marker.label}: ${Math.round(marker.time)}ms`).join(' · '));
+    }
+
+    seekTimeline(time) {
+        const timeline = this.timeline;
+        if (!timeline || timeline.recording) return;
+
+        timeline.time = Math.min(Math.max(time, 0), timeline.duration);
+
+        timeline.entries.forEach(({ animation, offset }) => {
+            animation.pause();
+            animation.currentTime = timeline.time - offset;
+        });
+
+        // The body colour is whatever the last swap before this point left
+        const swap = timeline.markers
+            .filter(marker => (marker.type === 'colour' || marker.type === 'clear') && marker.time <= timeline.time)
+            .pop();
+        document.body.style.background = swap && swap.fill ? swap.fill : '';
+        document.body.style.backgroundAttachment = swap && swap.fill ? 'fixed' : '';
+
+        document.getElementById('debug-scrub').value = timeline.time;
+        document.getElementById('timeline-value').textContent = Math.round(timeline.time);
+    }
+
+    playTimeline() {
+        const timeline = this.timeline;
+        if (!timeline || timeline.recording) return;
+
+        this.stopTimelinePlayback();
+        if (timeline.time >= timeline.duration) this.seekTimeline(0);
+
+        // Driven frame by frame so the speed slider applies while playing
+        let last = performance.now();
+        const step = now => {
+            this.seekTimeline(timeline.time + (now - last) * this.previewRate);
+            last = now;
+            timeline.frame = timeline.time < timeline.duration ? requestAnimationFrame(step) : null;
+        };
+        timeline.frame = requestAnimationFrame(step);
+    }
+
+    stopTimelinePlayback() {
+        if (!this.timeline || this.timeline.frame === null) return;
+
+        cancelAnimationFrame(this.timeline.frame);
+        this.timeline.frame = null;
+    }
+
+    endTimeline() {
+        const timeline = this.timeline;
+        if (!timeline) return;
+
+        this.timeline = null;
+        cancelAnimationFrame(timeline.frame);
+        if (timeline.restore) timeline.restore();
+
+        timeline.entries.forEach(({ animation }) => animation.cancel());
+        timeline.elements.forEach(element => element.remove());
+        if (!this.isTransitioning) this.paintBackground(null);
+
+        const panel = document.getElementById('debug-timeline');
+        if (panel) panel.hidden = true;
+    }
+
+    // ==================== DEBUG SETTINGS ====================
+
+    readStoredSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(LogoTransition.DEBUG_STORAGE_KEY));
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    writeStoredSettings(settings) {
+        try {
+            if (Object.keys(settings).length === 0) {
+                localStorage.removeItem(LogoTransition.DEBUG_STORAGE_KEY);
+            } else {
+                localStorage.setItem(LogoTransition.DEBUG_STORAGE_KEY, JSON.stringify(settings));
+            }
+        } catch (error) {
+            console.warn('LogoTransition: could not save debug settings', error);
+        }
+    }
+
+    restoreDebugSettings() {
+        const stored = this.readStoredSettings();
+
+        document.querySelectorAll(this.selectors.tile).forEach(link => {
+            const key = link.dataset.service;
+
+            // Remember the markup once; single-page mode brings back fresh copies
+            if (!this.markupSettings.has(key)) {
+                const markup = {};
+                LogoTransition.DEBUG_FIELDS.forEach(field => {
+                    if (link.dataset[field] !== undefined) markup[field] = link.dataset[field];
+                });
+                this.markupSettings.set(key, markup);
+            }
+
+            this.applyLogoSettings(link, stored[key] || {});
+        });
+    }
+
+    applyLogoSettings(link, overrides) {
+        const settings = { ...this.markupSettings.get(link.dataset.service), ...overrides };
+
+        LogoTransition.DEBUG_FIELDS.forEach(field => {
+            if (settings[field] === undefined) {
+                delete link.dataset[field];
+            } else {
+                link.dataset[field] = settings[field];
+            }
+        });
+    }
+
+    // A setting as the engine will use it, so that writing out a default
+    // doesn't count as a change
+    effectiveSetting(field, value) {
+        const defaults = {
+            color: 'auto',
+            scale: this.defaults.scale,
+            offsetX: this.defaults.offsetX,
+            offsetY: this.defaults.offsetY,
+            expandDuration: this.config.expandDuration,
+            shrinkDuration: this.config.shrinkDuration,
+            easing: this.config.expandEasing,
+            shrinkEasing: this.config.shrinkEasing,
+        };
+
+        const setting = value === undefined || value === '' ? String(defaults[field]) : String(value).trim();
+        return Number.isFinite(Number(setting)) ? String(Number(setting)) : setting;
+    }
+
+    diffLogoSettings(link) {
+        const markup = this.markupSettings.get(link.dataset.service) || {};
+
+        return LogoTransition.DEBUG_FIELDS
+            .map(field => ({
+                field,
+                from: this.effectiveSetting(field, markup[field]),
+                to: this.effectiveSetting(field, link.dataset[field])
+            }))
+            .filter(change => change.from !== change.to);
+    }
+
+    persistLogoSettings(link) {
+        const stored = this.readStoredSettings();
+        const changes = this.diffLogoSettings(link);
+
+        // Only what differs from the markup is kept
+        if (changes.length === 0) {
+            delete stored[link.dataset.service];
+        } else {
+            stored[link.dataset.service] = Object.fromEntries(changes.map(change => [change.field, link.dataset[change.field]]));
+        }
+
+        this.writeStoredSettings(stored);
+        this.renderSettingsDiff();
+    }
+
+    resetLogoSettings(link) {
+        this.applyLogoSettings(link, {});
+        this.persistLogoSettings(link);
+        this.loadLogoSettings(link);
+        if (this.manifest) this.manifest = this.buildManifest();
+
+        this.showDebugOutput(`Reset ${link.dataset.service} to the markup settings`);
+    }
+
+    renderSettingsDiff() {
+        const diff = document.getElementById('debug-diff');
+        if (!diff) return;
+
+        diff.replaceChildren();
+        document.querySelectorAll(this.selectors.tile).forEach(link => {
+            const changes = this.diffLogoSettings(link);
+            if (changes.length === 0) return;
+
+            const name = document.createElement('strong');
+            name.textContent = link.dataset.service;
+            diff.append(name, ...changes.map(({ field, from, to }) => `\n  ${field}: ${from} → ${to}`), '\n');
+        });
+
+        if (!diff.firstChild) diff.textContent = 'All logos match the markup';
+    }
+
+    exportDebugSettings() {
+        // Every logo's effective settings, not just the edited ones
+        const settings = {};
+        document.querySelectorAll(this.selectors.tile).forEach(link => {
+            settings[link.dataset.service] = Object.fromEntries(LogoTransition.DEBUG_FIELDS
+                .filter(field => link.dataset[field] !== undefined)
+                .map(field => [field, link.dataset[field]]));
+        });
+
+        const json = JSON.stringify(settings, null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const download = document.createElement('a');
+        download.href = url;
+        download.download = 'transition-settings.json';
+        download.click();
+        URL.revokeObjectURL(url);
+
+        navigator.clipboard.writeText(json).catch(() => {});
+
+        this.showDebugOutput(`Exported settings for ${Object.keys(settings).length} logos`);
+    }
+
+    async importDebugSettings(file) {
+        let imported;
+        try {
+            imported = JSON.parse(await file.text());
+            if (!imported || typeof imported !== 'object' || Array.isArray(imported)) throw new Error('expected an object of logos');
+        } catch (error) {
+            this.showDebugOutput(`Import failed: ${error.message}`);
+            return;
+        }
+
+        let count = 0;
+        document.querySelectorAll(this.selectors.tile).forEach(link => {
+            const entry = imported[link.dataset.service];
+            if (!entry || typeof entry !== 'object') return;
+
+            const overrides = {};
+            LogoTransition.DEBUG_FIELDS.forEach(field => {
+                if (entry[field] !== undefined) overrides[field] = String(entry[field]);
+            });
+
+            this.applyLogoSettings(link, overrides);
+            this.persistLogoSettings(link);
+            count++;
         });
+
+        if (this.manifest) this.manifest = this.buildManifest();
+        const select = document.getElementById('debug-logo-select');
+        const current = this.getTile(select.value);
+        if (current) this.loadLogoSettings(current);
+
+        this.showDebugOutput(`Imported settings for ${count} logos`);
     }
 
     attachKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
-            if (e.key.toLowerCase() === 'd' && !e.ctrlKey && !e.metaKey) {
-                // Don't toggle if typing in an input
-                if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+            if (e.key === 'Escape') {
+                this.cancelTransition();
+                // A recording preview finishes (or cancels) by itself
+                if (this.timeline && !this.timeline.recording) this.endTimeline();
+                return;
+            }
+
+            if (this.handleLauncherKey(e)) return;
+
+            const { shortcut } = this.options;
+            if (!this.debugPanel || !shortcut || e.ctrlKey || e.metaKey || e.altKey) return;
+
+            if (e.key.toLowerCase() === shortcut.toLowerCase()) {
+                // Don't toggle while typing
+                if (this.isEditable(e.target)) return;
 
                 this.debugMode = !this.debugMode;
                 this.debugPanel.classList.toggle('visible', this.debugMode);
             }
-        });
+        }, { signal: this.listeners.signal });
+    }
+
+    isEditable(element) {
+        return element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
     }
 
     cleanup() {
@@ -604,15 +3481,279 @@ class LogoTransition {
             this.transitionLogo.remove();
             this.transitionLogo = null;
         }
+        this.partClones.forEach(({ clone, element }) => {
+            clone.remove();
+            element.style.opacity = '';
+        });
+        this.partClones = [];
         this.isTransitioning = false;
     }
 
     delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        // Waits stretch with the animations while a preview is slowed down
+        const rate = this.timeline && this.timeline.recording ? this.timeline.rate : 1;
+        return new Promise(resolve => setTimeout(resolve, ms / rate));
+    }
+}
+
+// ==================== PURE HELPERS ====================
+//
+// Geometry and handoff checks without DOM or storage access: everything
+// comes in as arguments, so they can be exercised outside a browser.
+
+// The square an expanded logo covers: scale times the viewport's longer
+// side, centred, then shifted by offsetX/offsetY percent of the viewport
+function expandedRect({ scale, offsetX = 0, offsetY = 0 }, { width, height }) {
+    const size = Math.max(width, height) * scale;
+
+    return {
+        left: width / 2 - size / 2 + (offsetX / 100) * width,
+        top: height / 2 - size / 2 + (offsetY / 100) * height,
+        width: size,
+        height: size,
+    };
+}
+
+// A rect laid out for one viewport, scaled about the centre just enough
+// that it still covers another one the way it covered the first
+function rescaleRect(rect, from, to) {
+    const ratio = Math.max(to.width / from.width, to.height / from.height);
+
+    return {
+        left: to.width / 2 + (rect.left - from.width / 2) * ratio,
+        top: to.height / 2 + (rect.top - from.height / 2) * ratio,
+        width: rect.width * ratio,
+        height: rect.height * ratio,
+    };
+}
+
+// The payload of a stored handoff entry, or null if it can't be used
+function readHandoffEntry(stored, { now, navigationType }) {
+    let entry;
+    try {
+        entry = JSON.parse(stored);
+    } catch (error) {
+        console.warn('LogoTransition: discarding unreadable transition handoff', error);
+        return null;
     }
+
+    if (!entry || entry.version !== LogoTransition.PAYLOAD_VERSION || !entry.payload) return null;
+    if (!(entry.expires > now)) return null;
+
+    // A handoff only applies to the navigation that wrote it, not to a
+    // reload or a history traversal landing on the same URL later
+    if (navigationType && navigationType !== 'navigate') return null;
+
+    // The shrink starts from this geometry; anything else would misplace it
+    const { payload } = entry;
+    if (typeof payload.key !== 'string' || !(payload.scale > 0)) return null;
+    if (!Number.isFinite(payload.offsetX) || !Number.isFinite(payload.offsetY)) return null;
+    if (payload.viewport && !(payload.viewport.width > 0 && payload.viewport.height > 0)) return null;
+
+    return payload;
 }
 
-// Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    new LogoTransition();
+// ==================== PRESETS ====================
+//
+// A preset covers the screen on the outgoing page and uncovers it on the
+// incoming one. Register your own with LogoTransition.registerPreset(name, {
+//   expand(engine, { data }),                 // data: logo settings + rect
+//   shrink(engine, { data, target, reveal }), // reveal(): show the new page
+// }) and select it with data-transition="name". Both return a promise; use
+// engine.playExpansion() for expand animations so they can be cancelled.
+
+const coverRadius = (x, y) => Math.hypot(
+    Math.max(x, window.innerWidth - x),
+    Math.max(y, window.innerHeight - y)
+);
+
+const rectCenter = rect => ({ x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 });
+
+// The logo grows until it covers the screen, then shrinks into the target
+LogoTransition.registerPreset('grow', {
+    async expand(engine, { data }) {
+        engine.createTransitionLogo(data);
+        await engine.expandLogo(data);
+    },
+    async shrink(engine, { data, target }) {
+        // Set background to logo color (matches the expanded logo)
+        engine.paintBackground(data.fillColor);
+        if (!engine.transitionLogo) engine.createExpandedOverlay(data);
+        await engine.waitForLayout(target);
+
+        await engine.shrinkLogo(target, data);
+    }
+});
+
+// Crossfade through the logo colour (used for reduced motion)
+LogoTransition.registerPreset('fade', {
+    async expand(engine, { data }) {
+        engine.createColorLayer(data.fillColor);
+        await engine.playExpansion(engine.transitionLogo, [
+            { opacity: 0 },
+            { opacity: 1 }
+        ], { duration: engine.config.fadeDuration, easing: 'ease-out' });
+    },
+    async shrink(engine, { data, reveal }) {
+        if (!engine.transitionLogo) engine.createColorLayer(data.fillColor);
+        reveal();
+
+        await engine.play(engine.transitionLogo, [
+            { opacity: 1 },
+            { opacity: 0 }
+        ], { duration: engine.config.fadeDuration, easing: 'ease-in' });
+    }
+});
+
+// A circle of colour grows out of the logo and closes into the target
+LogoTransition.registerPreset('circle-reveal', {
+    async expand(engine, { data }) {
+        const { x, y } = rectCenter(data.rect);
+        const startRadius = Math.min(data.rect.width, data.rect.height) / 2;
+
+        engine.createColorLayer(data.fillColor);
+        await engine.playExpansion(engine.transitionLogo, [
+            { clipPath: `circle(${startRadius}px at ${x}px ${y}px)` },
+            { clipPath: `circle(${coverRadius(x, y)}px at ${x}px ${y}px)` }
+        ], { duration: data.expandDuration, easing: data.expandEasing });
+    },
+    async shrink(engine, { data, target, reveal }) {
+        if (!engine.transitionLogo) engine.createColorLayer(data.fillColor);
+        reveal();
+
+        const { x, y } = rectCenter(await engine.waitForLayout(target));
+
+        await engine.play(engine.transitionLogo, [
+            { clipPath: `circle(${coverRadius(x, y)}px at ${x}px ${y}px)` },
+            { clipPath: `circle(0px at ${x}px ${y}px)` }
+        ], { duration: data.shrinkDuration, easing: data.shrinkEasing });
+    }
+});
+
+// A circle of colour opens and closes on the centre of the screen
+LogoTransition.registerPreset('iris', {
+    async expand(engine, { data }) {
+        const x = window.innerWidth / 2;
+        const y = window.innerHeight / 2;
+
+        engine.createColorLayer(data.fillColor);
+        await engine.playExpansion(engine.transitionLogo, [
+            { clipPath: `circle(0px at ${x}px ${y}px)` },
+            { clipPath: `circle(${coverRadius(x, y)}px at ${x}px ${y}px)` }
+        ], { duration: data.expandDuration, easing: data.expandEasing });
+    },
+    async shrink(engine, { data, reveal }) {
+        const x = window.innerWidth / 2;
+        const y = window.innerHeight / 2;
+
+        if (!engine.transitionLogo) engine.createColorLayer(data.fillColor);
+        reveal();
+
+        await engine.play(engine.transitionLogo, [
+            { clipPath: `circle(${coverRadius(x, y)}px at ${x}px ${y}px)` },
+            { clipPath: `circle(0px at ${x}px ${y}px)` }
+        ], { duration: data.shrinkDuration, easing: data.shrinkEasing });
+    }
+});
+
+// The colour wipes in from the left and off to the right
+LogoTransition.registerPreset('wipe', {
+    async expand(engine, { data }) {
+        engine.createColorLayer(data.fillColor);
+        await engine.playExpansion(engine.transitionLogo, [
+            { clipPath: 'inset(0 100% 0 0)' },
+            { clipPath: 'inset(0 0 0 0)' }
+        ], { duration: data.expandDuration, easing: data.expandEasing });
+    },
+    async shrink(engine, { data, reveal }) {
+        if (!engine.transitionLogo) engine.createColorLayer(data.fillColor);
+        reveal();
+
+        await engine.play(engine.transitionLogo, [
+            { clipPath: 'inset(0 0 0 0)' },
+            { clipPath: 'inset(0 0 0 100%)' }
+        ], { duration: data.shrinkDuration, easing: data.shrinkEasing });
+    }
+});
+
+// A colour panel slides in, then slides out pushing the new page in behind it
+LogoTransition.registerPreset('slide', {
+    async expand(engine, { data }) {
+        engine.createColorLayer(data.fillColor);
+        await engine.playExpansion(engine.transitionLogo, [
+            { transform: 'translateX(100%)' },
+            { transform: 'translateX(0)' }
+        ], { duration: data.expandDuration, easing: data.expandEasing });
+    },
+    async shrink(engine, { data, reveal }) {
+        const options = { duration: data.shrinkDuration, easing: data.shrinkEasing };
+        const main = document.querySelector(engine.selectors.swap);
+
+        if (!engine.transitionLogo) engine.createColorLayer(data.fillColor);
+        reveal();
+
+        await Promise.all([
+            engine.play(engine.transitionLogo, [
+                { transform: 'translateX(0)' },
+                { transform: 'translateX(-100%)' }
+            ], options),
+            main && main.animate([
+                { transform: 'translateX(30%)' },
+                { transform: 'translateX(0)' }
+            ], options).finished
+        ]);
+    }
+});
+
+// Grows like "grow", then morphs into the target's artwork while shrinking:
+// paths with matching commands interpolate, the rest crossfades
+LogoTransition.registerPreset('morph', {
+    expand(engine, context) {
+        return LogoTransition.presets.get('grow').expand(engine, context);
+    },
+    async shrink(engine, context) {
+        const { data, target } = context;
+        const targetSvg = target.querySelector('svg');
+
+        if (!engine.transitionLogo) engine.createExpandedOverlay(data);
+
+        if (targetSvg) {
+            const options = {
+                duration: data.shrinkDuration + engine.config.backgroundDelay,
+                easing: 'ease-in-out',
+                fill: 'forwards'
+            };
+            const morphTo = targetSvg.cloneNode(true);
+            const targetPaths = morphTo.querySelectorAll('path');
+
+            engine.transitionLogo.querySelectorAll('svg path').forEach((path, i) => {
+                const to = targetPaths[i] && targetPaths[i].getAttribute('d');
+                if (to) path.animate([{ d: `path("${path.getAttribute('d')}")` }, { d: `path("${to}")` }], options);
+            });
+
+            morphTo.style.cssText = 'position: absolute; inset: 0; opacity: 0;';
+            engine.transitionLogo.appendChild(morphTo);
+            morphTo.animate([{ opacity: 0 }, { opacity: 1 }], options);
+        }
+
+        await LogoTransition.presets.get('grow').shrink(engine, context);
+    }
 });
+
+// Initialize when DOM is ready, unless the page creates its own instance:
+// <html data-transition-init="manual">. Without a document (imported for
+// the pure helpers alone) there is nothing to start.
+if (typeof document !== 'undefined' && document.documentElement.dataset.transitionInit !== 'manual') {
+    const start = () => {
+        window.logoTransition = new LogoTransition();
+    };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', start, { once: true });
+    } else {
+        start();
+    }
+}
+
+export { LogoTransition, expandedRect, rescaleRect, readHandoffEntry };
+export default LogoTransition;